@@ -6,18 +6,42 @@ const SW_VERSION = '2.7';
 console.log(`=== PAGE SUMMARISER SERVICE WORKER v${SW_VERSION} LOADED ===`);
 console.log('Timestamp:', new Date().toISOString());
 
+// Shared with the popup: summary history (IndexedDB) and tab content.
+// PDFs are read in the offscreen document (see PdfText below), so pdf.js is
+// not loaded each time the worker wakes.
+importScripts('/common/history-db.js', '/common/tab-content.js');
+
 // Configuration
 const CONFIG = {
-    CHUNK_SIZE: 1500,           // Characters per chunk (~375 tokens)
-    DELAY_BETWEEN_CHUNKS: 4000, // 4 seconds between API calls
+    CONTEXT_USAGE: 0.5,         // Share of a model's context window used for page content
+    DEFAULT_CONTEXT_TOKENS: 8000, // Assumed when a model's context window is unknown
+    MAX_INPUT_TOKENS: 60000,    // Per-request content cap, even on 1M-token models
+    MIN_CHUNK_TOKENS: 400,      // Never split finer than this
+    PROMPT_OVERHEAD_TOKENS: 200, // Instructions wrapped around the content
+    DELAY_BETWEEN_CHUNKS: 4000, // 4 seconds between API calls (free models only)
+    MAX_CONCURRENT_CHUNKS: 3,   // Default parallel chunk requests for paid models
+    RATE_LIMIT_BACKOFF: 2000,   // Initial backoff after a temporary rate limit
+    MAX_RATE_LIMIT_BACKOFF: 30000,
+    MAX_CHUNK_REQUEUES: 3,      // Times a rate-limited chunk is re-queued before giving up
     MAX_RETRIES: 1,             // Retries per model before trying next
     RETRY_BASE_DELAY: 3000,     // 3 second delay before retry
     MAX_TOKENS_PER_CHUNK: 500,  // Max tokens for each chunk summary
+    MAX_SUMMARY_TOKENS: 1500,   // Max tokens when one request covers a long article
     DEFAULT_MODEL: 'deepseek/deepseek-chat-v3.1',
+    MODEL_CATALOGUE_TTL: 24 * 60 * 60 * 1000, // Refresh the /models catalogue daily
+    CATALOGUE_RETRY_DELAY: 10 * 60 * 1000,     // Wait before retrying a failed catalogue fetch
+    MAX_FREE_MODELS: 8,         // Length of the free-model rotation built from the catalogue
+    QA_CHUNK_TOKENS: 600,       // Size of the page passages a question is matched against
+    QA_CONTEXT_TOKENS: 6000,    // Max page content sent with one question
+    QA_HISTORY_TURNS: 6,        // Previous chat messages sent for follow-up context
+    QA_MAX_TOKENS: 800,         // Max tokens for an answer
+    MAX_DIFF_CELLS: 4000000,    // Paragraph pairs compared before a change diff falls back to set membership
+    EDIT_SIMILARITY: 0.5,       // Word overlap at which a removed and an added paragraph count as one edit
     DEBUG: true
 };
 
 // Free models to cycle through (in order of preference) - Updated January 2026
+// Used as-is until the live catalogue loads, and afterwards to rank the free models it lists
 const FREE_MODELS = [
     'google/gemini-2.0-flash-exp:free',
     'meta-llama/llama-3.3-70b-instruct:free',
@@ -44,6 +68,236 @@ const MODEL_INFO = {
     'anthropic/claude-3-haiku': { name: 'Claude 3 Haiku', context: '200K tokens', provider: 'Anthropic' }
 };
 
+// Live model catalogue (OpenRouter /models), cached in storage with a TTL.
+// Until it loads, the hand-maintained lists above are used.
+const MODEL_CATALOGUE_URL = 'https://openrouter.ai/api/v1/models';
+let freeModels = FREE_MODELS.slice();
+let catalogueInfo = {};
+let catalogueFetchedAt = 0;
+let lastCatalogueAttempt = 0;
+
+// LLM providers. Each one knows its default endpoint, how to authenticate
+// and how to read its error responses. Anything that speaks the OpenAI chat
+// completions API (Ollama, llama.cpp server, vLLM, corporate gateways) uses 'openai'.
+const PROVIDERS = {
+    openrouter: {
+        name: 'OpenRouter',
+        defaultBaseUrl: 'https://openrouter.ai/api/v1',
+        requiresApiKey: true,
+        supportsFreeModels: true,
+        buildHeaders(client) {
+            return {
+                'Authorization': `Bearer ${client.apiKey}`,
+                'HTTP-Referer': chrome.runtime.getURL(''),
+                'X-Title': 'Page Summariser Extension'
+            };
+        },
+        parseError: parseOpenRouterError
+    },
+    openai: {
+        name: 'OpenAI-compatible',
+        defaultBaseUrl: 'http://localhost:11434/v1',
+        requiresApiKey: false,
+        supportsFreeModels: false,
+        buildHeaders(client) {
+            if (!client.apiKey) return {};
+            const headerName = client.authHeader || 'Authorization';
+            const value = client.authPrefix ? `${client.authPrefix} ${client.apiKey}` : client.apiKey;
+            return { [headerName]: value };
+        },
+        parseError: parseOpenAICompatibleError
+    }
+};
+
+// Build the client used for every API call of one summarize run.
+// providerConfig comes from the popup settings: { type, baseUrl, authHeader, authPrefix, models, contextTokens }
+function createClient(providerConfig, apiKey) {
+    const config = providerConfig || {};
+    const type = PROVIDERS[config.type] ? config.type : 'openrouter';
+    const provider = PROVIDERS[type];
+    const baseUrl = (config.baseUrl || provider.defaultBaseUrl).replace(/\/+$/, '');
+
+    return {
+        type,
+        provider,
+        name: config.name || provider.name,
+        apiKey,
+        baseUrl,
+        authHeader: config.authHeader,
+        authPrefix: config.authPrefix ?? 'Bearer',
+        models: Array.isArray(config.models) ? config.models.filter(Boolean) : [],
+        contextTokens: Number(config.contextTokens) || null
+    };
+}
+
+// Summary style presets. Each has a prompt for single chunks (or the whole page)
+// and one for combining chunk summaries. Placeholders: {{content}}, {{title}},
+// {{url}}, {{part}} ('full' or 'part 2 of 5') and {{language}} (output language name). A '\n\nContent:' marker splits
+// the prompt into system instructions and the user message.
+const PROMPT_PRESETS = {
+    bullets: {
+        name: 'Bullet points',
+        chunk: `Summarize the following content as bullet points. Format rules:
+- Use bullet points (•) for each item
+- Each bullet should be a concise 1-2 sentence summary
+- If the content has numbered items (like "Top 10"), keep the numbers (1., 2., etc.)
+- Output ONLY the bullet points - no introductions, no preambles, no "Here is a summary"
+- Start directly with the first bullet point
+
+Content:
+{{content}}`,
+        combine: `Combine these summaries into one clean bullet-point list. Format rules:
+- Use bullet points (•) or numbered list if items have rankings
+- Each bullet should be concise (1-2 sentences)
+- Remove any duplicate information
+- The summaries are in document order - keep that order
+- Output ONLY the bullet points - no introductions, no preambles
+- Start directly with the first bullet point
+
+Summaries to combine:
+{{content}}`
+    },
+    tldr: {
+        name: 'TL;DR paragraph',
+        chunk: `Write a TL;DR of the following content from "{{title}}" ({{part}}). Format rules:
+- A single paragraph of 2-4 sentences
+- Plain prose - no bullet points, no headings
+- Output ONLY the paragraph - no introductions, no "TL;DR:" label
+
+Content:
+{{content}}`,
+        combine: `Merge these partial TL;DRs of "{{title}}" into one TL;DR. Format rules:
+- A single paragraph of 3-5 sentences covering the whole piece
+- Plain prose - no bullet points, no headings
+- Output ONLY the paragraph - no introductions
+
+Partial TL;DRs, in document order:
+{{content}}`
+    },
+    takeaways: {
+        name: 'Key takeaways + actions',
+        chunk: `Extract the key takeaways and any action items from the following content. Format rules:
+- Start with the line "Key takeaways:" followed by bullet points (•), each 1 sentence
+- Then the line "Action items:" followed by bullet points (•) of concrete things the reader could do
+- Write "Action items: none" if the content suggests nothing actionable
+- Output ONLY these two sections - no introductions
+
+Content:
+{{content}}`,
+        combine: `Combine these notes into one list of key takeaways and action items. Format rules:
+- "Key takeaways:" then bullet points (•), each 1 sentence, most important first
+- "Action items:" then bullet points (•), merged and de-duplicated
+- Output ONLY these two sections - no introductions
+
+Notes to combine:
+{{content}}`
+    },
+    executive: {
+        name: 'Executive brief',
+        chunk: `Write an executive brief of the following content. Format rules:
+- "Bottom line:" one sentence with the single most important point
+- "Key points:" 3-5 bullet points (•) with facts, figures and decisions
+- "Implications:" 1-2 sentences on what it means for the reader
+- Crisp, neutral business language; output ONLY the brief
+
+Content:
+{{content}}`,
+        combine: `Merge these partial briefs of "{{title}}" into one executive brief. Format rules:
+- "Bottom line:" one sentence for the whole piece
+- "Key points:" 3-6 bullet points (•), de-duplicated, most important first
+- "Implications:" 1-2 sentences
+- Output ONLY the brief
+
+Partial briefs, in document order:
+{{content}}`
+    },
+    eli5: {
+        name: "Explain like I'm 5",
+        chunk: `Explain the following content so a curious 10-year-old would understand it. Format rules:
+- Short sentences and everyday words; explain any jargon with a simple comparison
+- 1-2 short paragraphs
+- Output ONLY the explanation - no introductions
+
+Content:
+{{content}}`,
+        combine: `Merge these simple explanations of "{{title}}" into one. Format rules:
+- Short sentences and everyday words
+- 2-3 short paragraphs that flow in document order
+- Output ONLY the explanation
+
+Explanations to merge:
+{{content}}`
+    },
+    proscons: {
+        name: 'Pros and cons',
+        chunk: `List the pros and cons (advantages and disadvantages, arguments for and against) found in the following content. Format rules:
+- "Pros:" followed by bullet points (•)
+- "Cons:" followed by bullet points (•)
+- Each bullet 1 sentence; write "none mentioned" for an empty side
+- Output ONLY the two lists
+
+Content:
+{{content}}`,
+        combine: `Combine these pros and cons lists into one. Format rules:
+- "Pros:" then bullet points (•), de-duplicated
+- "Cons:" then bullet points (•), de-duplicated
+- Finish with "Verdict:" and one balanced sentence
+- Output ONLY the lists and verdict
+
+Lists to combine:
+{{content}}`
+    }
+};
+
+const DEFAULT_STYLE_ID = 'bullets';
+
+// Style for batch digests. Not offered in the style picker: its input is the
+// per-tab summaries, each headed with the source's number, title and URL.
+const DIGEST_STYLE = {
+    id: 'digest',
+    name: 'Digest',
+    chunk: `Write a digest of the following page summaries. Format rules:
+- Start with "Overview:" and 2-3 sentences on what the pages have in common
+- Then one bullet point (•) per source: its title as a Markdown link to its URL, then 1-2 sentences
+- End with "Common themes:" and up to 5 bullet points (•) that connect several sources, citing them by number like [2]
+- Output ONLY the digest - no introductions
+
+Summaries:
+{{content}}`,
+    combine: `Merge these partial digests into one. Format rules:
+- "Overview:" with 2-3 sentences covering all sources
+- One bullet point (•) per source, keeping each Markdown link and the source order
+- "Common themes:" with up to 5 bullet points (•), citing sources by number like [2]
+- Output ONLY the digest
+
+Partial digests:
+{{content}}`
+};
+
+// Style for "what changed" runs. Not offered in the style picker: its input is
+// the paragraph diff against the previous version of the page (formatChanges).
+const CHANGES_STYLE = {
+    id: 'changes',
+    name: 'Changes',
+    chunk: `Summarise what changed on "{{title}}" since it was last read. The input lists changed paragraphs only ({{part}}): [ADDED] is new text, [REMOVED] is text that is gone, [EDITED] shows the old and new wording. Format rules:
+- Start with "What changed:" and 1-2 sentences on the overall change
+- Then sections "Added:", "Removed:" and "Changed:" with bullet points (•), leaving out empty sections
+- For edits, say what is different in meaning - skip pure wording or formatting changes
+- Do not summarise content that did not change
+- Output ONLY the change summary
+
+Changes:
+{{content}}`,
+    combine: `Merge these partial change summaries into one. Format rules:
+- "What changed:" with 1-2 sentences covering all changes
+- Sections "Added:", "Removed:" and "Changed:" with bullet points (•), leaving out empty sections
+- Remove duplicates
+- Output ONLY the change summary
+
+Partial change summaries:
+{{content}}`
+};
+
 // Check and reset exhausted models at midnight
 function checkDailyReset() {
     const currentDate = new Date().toUTCString().split(' ').slice(0, 4).join(' ');
@@ -89,7 +343,7 @@ async function saveExhaustedModels() {
 async function markModelExhausted(modelId) {
     exhaustedModels.add(modelId);
     await saveExhaustedModels();
-    log('info', `Model ${modelId} marked as exhausted. Total exhausted: ${exhaustedModels.size}/${FREE_MODELS.length}`);
+    log('info', `Model ${modelId} marked as exhausted. Total exhausted: ${exhaustedModels.size}/${freeModels.length}`);
 }
 
 // Get next available free model
@@ -97,12 +351,12 @@ function getNextAvailableModel(currentModel) {
     checkDailyReset();
 
     // Find current model index
-    const currentIndex = FREE_MODELS.indexOf(currentModel);
+    const currentIndex = freeModels.indexOf(currentModel);
 
     // Try each model after the current one
-    for (let i = 1; i <= FREE_MODELS.length; i++) {
-        const nextIndex = (currentIndex + i) % FREE_MODELS.length;
-        const nextModel = FREE_MODELS[nextIndex];
+    for (let i = 1; i <= freeModels.length; i++) {
+        const nextIndex = (currentIndex + i) % freeModels.length;
+        const nextModel = freeModels[nextIndex];
 
         if (!exhaustedModels.has(nextModel)) {
             return nextModel;
@@ -116,7 +370,7 @@ function getNextAvailableModel(currentModel) {
 function getFirstAvailableModel() {
     checkDailyReset();
 
-    for (const model of FREE_MODELS) {
+    for (const model of freeModels) {
         if (!exhaustedModels.has(model)) {
             return model;
         }
@@ -125,10 +379,116 @@ function getFirstAvailableModel() {
     return null;
 }
 
+// Free models share tight per-minute limits, so their requests are paced
+function isFreeModel(modelId) {
+    return freeModels.includes(modelId) || modelId.endsWith(':free');
+}
+
+// Format a token count the way MODEL_INFO labels context windows
+function formatContextTokens(tokens) {
+    if (tokens >= 1000000) return `${+(tokens / 1000000).toFixed(1)}M tokens`;
+    return `${Math.round(tokens / 1000)}K tokens`;
+}
+
+// Turn one /models entry into the shape getModelInfo returns
+function normalizeCatalogueModel(model) {
+    const promptPrice = parseFloat(model.pricing?.prompt) || 0;
+    const completionPrice = parseFloat(model.pricing?.completion) || 0;
+    const contextTokens = model.context_length || model.top_provider?.context_length || CONFIG.DEFAULT_CONTEXT_TOKENS;
+
+    // Catalogue names look like 'Meta: Llama 3.3 70B Instruct (free)'
+    const [prefix, ...rest] = (model.name || model.id).split(': ');
+    const providerSlug = model.id.split('/')[0] || 'Unknown';
+
+    return {
+        id: model.id,
+        name: rest.length ? rest.join(': ') : prefix,
+        provider: rest.length ? prefix : providerSlug.charAt(0).toUpperCase() + providerSlug.slice(1),
+        context: formatContextTokens(contextTokens),
+        contextTokens,
+        // USD per token
+        pricing: { prompt: promptPrice, completion: completionPrice },
+        isFree: model.id.endsWith(':free') || (promptPrice === 0 && completionPrice === 0)
+    };
+}
+
+// Free rotation: known-good models first (in FREE_MODELS order), then the
+// largest-context ':free' models the catalogue lists
+function buildFreeRotation(models) {
+    const freeIds = models.filter(m => m.id.endsWith(':free'));
+    const available = new Set(freeIds.map(m => m.id));
+    const preferred = FREE_MODELS.filter(id => available.has(id));
+    const others = freeIds
+        .filter(m => !preferred.includes(m.id))
+        .sort((a, b) => b.contextTokens - a.contextTokens)
+        .map(m => m.id);
+
+    const rotation = [...preferred, ...others].slice(0, CONFIG.MAX_FREE_MODELS);
+    return rotation.length > 0 ? rotation : FREE_MODELS.slice();
+}
+
+function applyModelCatalogue(catalogue) {
+    catalogueInfo = Object.fromEntries(catalogue.models.map(m => [m.id, m]));
+    freeModels = buildFreeRotation(catalogue.models);
+    catalogueFetchedAt = catalogue.fetchedAt;
+    log('info', `Model catalogue: ${catalogue.models.length} models, ${freeModels.length} in free rotation`);
+}
+
+// Load the catalogue from storage, fetching a fresh copy when it is older than the TTL.
+// Failures keep whatever was loaded before (or the built-in lists).
+async function ensureModelCatalogue(force = false) {
+    const now = Date.now();
+    if (!force && catalogueFetchedAt && now - catalogueFetchedAt < CONFIG.MODEL_CATALOGUE_TTL) {
+        return;
+    }
+
+    const { modelCatalogue } = await chrome.storage.local.get('modelCatalogue');
+    const isFresh = modelCatalogue && now - modelCatalogue.fetchedAt < CONFIG.MODEL_CATALOGUE_TTL;
+
+    if (isFresh && !force) {
+        applyModelCatalogue(modelCatalogue);
+        return;
+    }
+
+    if (!force && now - lastCatalogueAttempt < CONFIG.CATALOGUE_RETRY_DELAY) {
+        if (modelCatalogue && !catalogueFetchedAt) applyModelCatalogue(modelCatalogue);
+        return;
+    }
+    lastCatalogueAttempt = now;
+
+    try {
+        log('info', 'Fetching model catalogue...');
+        const response = await fetch(MODEL_CATALOGUE_URL);
+        if (!response.ok) {
+            throw new Error(`Catalogue request failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const catalogue = {
+            fetchedAt: now,
+            models: (data.data || []).filter(m => m?.id).map(normalizeCatalogueModel)
+        };
+
+        if (catalogue.models.length === 0) {
+            throw new Error('Catalogue is empty');
+        }
+
+        await chrome.storage.local.set({ modelCatalogue: catalogue });
+        applyModelCatalogue(catalogue);
+    } catch (error) {
+        log('error', `Could not refresh model catalogue: ${error.message}`);
+        if (modelCatalogue) applyModelCatalogue(modelCatalogue);
+    }
+}
+
 // Get model info
 function getModelInfo(modelId) {
+    if (catalogueInfo[modelId]) {
+        return { ...catalogueInfo[modelId] };
+    }
     if (MODEL_INFO[modelId]) {
-        return { ...MODEL_INFO[modelId], id: modelId };
+        const info = MODEL_INFO[modelId];
+        return { ...info, id: modelId, contextTokens: parseContextTokens(info.context) };
     }
     const parts = modelId.split('/');
     const provider = parts[0] || 'Unknown';
@@ -138,10 +498,126 @@ function getModelInfo(modelId) {
         id: modelId,
         name: name + (isFree ? ' (Free)' : ''),
         context: 'Unknown',
+        contextTokens: CONFIG.DEFAULT_CONTEXT_TOKENS,
         provider: provider.charAt(0).toUpperCase() + provider.slice(1)
     };
 }
 
+// Parse a context label like '128K tokens' or '1M tokens' into a token count
+function parseContextTokens(label) {
+    const match = /([\d.]+)\s*([KM]?)/i.exec(label || '');
+    if (!match) return CONFIG.DEFAULT_CONTEXT_TOKENS;
+    const multiplier = { K: 1000, M: 1000000 }[match[2].toUpperCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+// Estimate the token count of text without a tokenizer.
+// CJK characters are about one token each; other words about one token per
+// four characters, and punctuation is usually a token of its own.
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g;
+
+function estimateTokens(text) {
+    if (!text) return 0;
+
+    const cjkCount = (text.match(CJK_PATTERN) || []).length;
+    const words = text.replace(CJK_PATTERN, ' ').match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+
+    let tokens = cjkCount;
+    for (const word of words) {
+        tokens += Math.max(1, Math.ceil(word.length / 4));
+    }
+    return tokens;
+}
+
+// How much page content (in tokens) one request may carry for this model.
+// A context window set on the provider (local servers) wins over the lookup.
+function getChunkTokenBudget(modelId, client = null) {
+    const contextTokens = client?.contextTokens || getModelInfo(modelId).contextTokens;
+    const usable = Math.floor(contextTokens * CONFIG.CONTEXT_USAGE) -
+        CONFIG.PROMPT_OVERHEAD_TOKENS - CONFIG.MAX_SUMMARY_TOKENS;
+    return Math.max(CONFIG.MIN_CHUNK_TOKENS, Math.min(usable, CONFIG.MAX_INPUT_TOKENS));
+}
+
+// Longer inputs get room for a longer summary
+function getMaxOutputTokens(inputTokens) {
+    return Math.min(CONFIG.MAX_SUMMARY_TOKENS, Math.max(CONFIG.MAX_TOKENS_PER_CHUNK, Math.ceil(inputTokens / 20)));
+}
+
+// Resolve a style id to its prompts: built-in presets first, then the user's
+// templates saved from the popup ({ id, name, chunk, combine })
+async function resolveStyle(styleId) {
+    const internalStyle = [DIGEST_STYLE, CHANGES_STYLE].find(style => style.id === styleId);
+    if (internalStyle) {
+        return { ...internalStyle };
+    }
+
+    if (PROMPT_PRESETS[styleId]) {
+        return { id: styleId, ...PROMPT_PRESETS[styleId] };
+    }
+
+    if (styleId) {
+        const { promptTemplates } = await chrome.storage.local.get('promptTemplates');
+        const template = (promptTemplates || []).find(t => t.id === styleId);
+        if (template) {
+            // A custom template may leave the combine prompt empty
+            return {
+                id: template.id,
+                name: template.name,
+                chunk: template.chunk,
+                combine: template.combine || PROMPT_PRESETS[DEFAULT_STYLE_ID].combine,
+                custom: true
+            };
+        }
+        log('info', `Unknown style ${styleId}, using default`);
+    }
+
+    return { id: DEFAULT_STYLE_ID, ...PROMPT_PRESETS[DEFAULT_STYLE_ID] };
+}
+
+// Fill {{placeholders}}; unknown ones are left as typed.
+// Content is appended when a template forgot the {{content}} placeholder.
+// Extra rules (e.g. the output language) go at the end of the instructions,
+// just before the paragraph that holds the content.
+function renderPromptTemplate(template, values, rules = []) {
+    let withContent = /\{\{\s*content\s*\}\}/.test(template)
+        ? template
+        : `${template.trim()}\n\nContent:\n{{content}}`;
+
+    if (rules.length > 0) {
+        const contentIndex = withContent.search(/\{\{\s*content\s*\}\}/);
+        const paragraphStart = withContent.lastIndexOf('\n\n', contentIndex);
+        const ruleLines = rules.map(rule => `- ${rule}`).join('\n');
+
+        withContent = paragraphStart > 0
+            ? `${withContent.substring(0, paragraphStart)}\n${ruleLines}${withContent.substring(paragraphStart)}`
+            : `${rules.join('. ')}.\n\n${withContent}`;
+    }
+
+    return withContent.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+        key in values ? String(values[key] ?? '') : match
+    );
+}
+
+// Language names for prompts ('fr' -> 'French')
+function getLanguageName(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch {
+        return code;
+    }
+}
+
+// Prompt rule that pins the output language. 'auto' keeps the page's own language.
+function getLanguageRule(outputLanguage, sourceLanguage) {
+    if (outputLanguage && outputLanguage !== 'auto') {
+        return `Write the output in ${getLanguageName(outputLanguage)}, translating from the original language where needed`;
+    }
+    if (sourceLanguage) {
+        return `Write the output in ${getLanguageName(sourceLanguage)}, the language of the content`;
+    }
+    return 'Write the output in the same language as the content';
+}
+
 // Logging utility
 function log(level, message, data = null) {
     const prefix = `[PS ${level.toUpperCase()}]`;
@@ -156,16 +632,34 @@ function log(level, message, data = null) {
 
 // Initialize
 loadExhaustedModels();
+ensureModelCatalogue();
+HistoryDB.migrate().catch(error => log('error', 'History migration failed', { message: error.message }));
 
 console.log('=== SERVICE WORKER: Setting up message listener ===');
 
+// Model requests, sent by the popup as a message or over a streaming port and
+// run by the worker's own background jobs through runAction.
+// Each handler takes (request, sendResponse, onProgress).
+const MODEL_ACTIONS = {
+    summarize: handleSummarize,
+    summarizeChanges: handleSummarizeChanges,
+    ask: handleAsk
+};
+
+// A model request from inside the worker, answered like a popup message
+function runAction(request, onProgress = null) {
+    return new Promise((resolve) => {
+        MODEL_ACTIONS[request.action](request, resolve, onProgress);
+    });
+}
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log('=== MESSAGE RECEIVED ===', request?.action);
 
-    if (request.action === 'summarize') {
-        log('info', 'Received summarize request');
+    if (MODEL_ACTIONS[request.action]) {
+        log('info', `Received ${request.action} request`);
         // Don't await here to return true immediately for async response
-        handleSummarize(request, sendResponse);
+        MODEL_ACTIONS[request.action](request, sendResponse);
         return true;
     }
 
@@ -175,11 +669,46 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
+    if (request.action === 'getModelCatalogue') {
+        ensureModelCatalogue(request.refresh).then(() => {
+            sendResponse({
+                models: Object.values(catalogueInfo),
+                fetchedAt: catalogueFetchedAt,
+                freeModels: freeModels
+            });
+        });
+        return true;
+    }
+
+    if (request.action === 'summarizeTabs') {
+        if (batchRunning) {
+            sendResponse({ success: false, error: 'A batch summary is already running.' });
+        } else {
+            summarizeTabs(request);
+            sendResponse({ success: true });
+        }
+        return true;
+    }
+
+    if (request.action === 'summarizeLink') {
+        summarizeLinkTarget(request.url);
+        sendResponse({ success: true });
+        return true;
+    }
+
+    if (request.action === 'getPromptPresets') {
+        sendResponse({
+            presets: Object.entries(PROMPT_PRESETS).map(([id, preset]) => ({ id, ...preset })),
+            defaultStyleId: DEFAULT_STYLE_ID
+        });
+        return true;
+    }
+
     if (request.action === 'getModelStatus') {
         sendResponse({
             exhaustedModels: Array.from(exhaustedModels),
-            totalFreeModels: FREE_MODELS.length,
-            availableModels: FREE_MODELS.filter(m => !exhaustedModels.has(m))
+            totalFreeModels: freeModels.length,
+            availableModels: freeModels.filter(m => !exhaustedModels.has(m))
         });
         return true;
     }
@@ -187,7 +716,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 console.log('=== SERVICE WORKER READY ===');
 
-// Keep-alive connection handler
+// Keep-alive and streaming connection handler
 chrome.runtime.onConnect.addListener((port) => {
     if (port.name === 'keepAlive') {
         log('info', 'Keep-alive port connected');
@@ -195,18 +724,47 @@ chrome.runtime.onConnect.addListener((port) => {
             log('info', 'Keep-alive port disconnected');
         });
     }
+
+    // Streaming summaries: partial text is pushed over the port as it arrives.
+    // The open port also keeps the service worker alive for the whole run.
+    if (port.name === 'summarizeStream') {
+        log('info', 'Streaming port connected');
+        let disconnected = false;
+
+        port.onDisconnect.addListener(() => {
+            disconnected = true;
+            log('info', 'Streaming port disconnected');
+        });
+
+        const post = (message) => {
+            if (!disconnected) port.postMessage(message);
+        };
+
+        port.onMessage.addListener((request) => {
+            const handler = MODEL_ACTIONS[request?.action];
+            if (!handler) return;
+            handler(
+                request,
+                (response) => post({ type: 'done', response }),
+                (progress) => post({ type: 'progress', ...progress })
+            );
+        });
+    }
 });
 
-async function handleSummarize(request, sendResponse) {
+// onProgress (optional) receives { stage, text, index, total } updates while streaming
+async function handleSummarize(request, sendResponse, onProgress = null) {
     try {
         // Ensure state is loaded
         await loadExhaustedModels();
+        await ensureModelCatalogue();
 
-        const { text, apiKey, customCode } = request;
+        const { text, apiKey, customCode, provider: providerConfig } = request;
+        const client = createClient(providerConfig, apiKey);
 
-        log('info', `Request details: textLength=${text?.length || 0}, hasApiKey=${!!apiKey}, customCode=${customCode || 'default'}`);
+        log('info', `Request details: provider=${client.type}, textLength=${text?.length || 0}, hasApiKey=${!!apiKey}, customCode=${customCode || 'default'}`);
 
-        if (!apiKey) {
+        if (!apiKey && client.provider.requiresApiKey) {
             sendResponse({ success: false, error: 'API key is required' });
             return;
         }
@@ -217,8 +775,18 @@ async function handleSummarize(request, sendResponse) {
         }
 
         // Determine if using custom model or cycling through free models
-        const isUsingFreeModels = !customCode || FREE_MODELS.includes(customCode);
-        let model = customCode || getFirstAvailableModel();
+        // (free model cycling only exists on OpenRouter)
+        if (!client.provider.supportsFreeModels) {
+            const model = customCode || client.models[0];
+            if (!model) {
+                sendResponse({ success: false, error: `Choose a model for ${client.name} in settings.` });
+                return;
+            }
+            return await runSummarize(request, client, model, false, sendResponse, onProgress);
+        }
+
+        const isUsingFreeModels = !customCode || freeModels.includes(customCode);
+        const model = customCode || getFirstAvailableModel();
 
         if (!model) {
             sendResponse({
@@ -228,8 +796,71 @@ async function handleSummarize(request, sendResponse) {
             return;
         }
 
+        await runSummarize(request, client, model, isUsingFreeModels, sendResponse, onProgress);
+
+    } catch (error) {
+        log('error', 'Summarization failed', { message: error.message, stack: error.stack });
+        sendResponse({
+            success: false,
+            error: error.message || 'Failed to summarize content'
+        });
+    }
+}
+
+// Summarize with the chosen model, cycling through free models on rate limits
+async function runSummarize(request, client, model, isUsingFreeModels, sendResponse, onProgress) {
+    const { text, concurrency } = request;
+
+    try {
+        const style = await resolveStyle(request.styleId);
+        const sourceLanguage = request.sourceLanguage || null;
+        const outputLanguage = request.outputLanguage && request.outputLanguage !== 'auto'
+            ? request.outputLanguage
+            : sourceLanguage;
+        const promptOptions = {
+            style,
+            title: request.title || '',
+            url: request.url || '',
+            language: outputLanguage ? getLanguageName(outputLanguage) : '',
+            languageRule: getLanguageRule(request.outputLanguage, sourceLanguage)
+        };
+        log('info', `Summary style: ${style.name}, language: ${sourceLanguage || '?'} -> ${outputLanguage || 'same as page'}`);
+
+        // Free-model runs may end on any model of the rotation, so they share one cache scope
+        promptOptions.cacheScope = `${client.baseUrl}|${isUsingFreeModels ? 'free' : model}`;
+        promptOptions.forceRefresh = !!request.forceRefresh;
+        promptOptions.cacheStats = { hits: 0 };
+
+        // Same content, model setting, prompts and language as a saved summary: reuse it
+        const contentHash = await hashText(JSON.stringify({
+            text,
+            scope: promptOptions.cacheScope,
+            chunk: style.chunk,
+            combine: style.combine,
+            language: outputLanguage,
+            languageRule: promptOptions.languageRule
+        }));
+
+        if (!request.forceRefresh) {
+            const cached = await HistoryDB.findByHash(contentHash).catch(() => null);
+            if (cached) {
+                log('info', `Cache hit: entry ${cached.id} from ${cached.createdAt}`);
+                sendResponse({
+                    success: true,
+                    summary: cached.summary,
+                    style: cached.style,
+                    language: { source: cached.sourceLanguage, output: cached.outputLanguage },
+                    modelInfo: cached.modelInfo,
+                    contentHash,
+                    cached: true,
+                    cachedEntryId: cached.id
+                });
+                return;
+            }
+        }
+
         const textLength = text.length;
-        const inputTokens = Math.ceil(textLength / 4);
+        const inputTokens = estimateTokens(text);
 
         log('info', `Content: ${textLength} chars, ~${inputTokens} tokens`);
         log('info', `Starting with model: ${model}`);
@@ -237,43 +868,78 @@ async function handleSummarize(request, sendResponse) {
 
         let summary;
         let chunksUsed = 1;
+        let reduceLevels = 0;
+        let reduceCalls = 0;
         let actualModel = model;
         let attempts = 0;
-        const maxAttempts = isUsingFreeModels ? FREE_MODELS.length : 1;
+        const maxAttempts = isUsingFreeModels ? freeModels.length : 1;
 
         while (attempts < maxAttempts) {
             attempts++;
 
             try {
                 log('info', `Attempt ${attempts}/${maxAttempts} with model: ${actualModel}`);
+                // Tokens of every request this model is sent (chunks, combine steps), for the cost estimate
+                promptOptions.usage = { requests: 0, inputTokens: 0, outputTokens: 0 };
 
-                if (textLength > CONFIG.CHUNK_SIZE) {
+                // Let the popup discard partial output from a previous (failed) model
+                if (onProgress) {
+                    onProgress({ stage: 'start', model: actualModel });
+                }
+
+                // Chunk only when the page does not fit this model's context budget
+                const chunkTokens = getChunkTokenBudget(actualModel, client);
+                log('info', `Content budget for ${actualModel}: ${chunkTokens} tokens`);
+
+                if (inputTokens > chunkTokens) {
                     log('info', 'Using chunking strategy');
-                    const result = await summarizeWithChunking(text, apiKey, actualModel);
+                    const result = await summarizeWithChunking(text, client, actualModel, onProgress, concurrency, promptOptions);
                     summary = result.summary || result;
-                    chunksUsed = result.chunks || Math.ceil(textLength / CONFIG.CHUNK_SIZE);
+                    chunksUsed = result.chunks || Math.ceil(inputTokens / chunkTokens);
+                    reduceLevels = result.reduceLevels || 0;
+                    reduceCalls = result.reduceCalls || 0;
                 } else {
-                    log('info', 'Single request (small content)');
-                    summary = await summarizeSingleChunk(text, apiKey, actualModel, 'full');
+                    log('info', 'Single request (fits context)');
+                    const onDelta = onProgress
+                        ? (partial) => onProgress({ stage: 'full', text: partial })
+                        : null;
+                    summary = await summarizeSingleChunk(text, client, actualModel, 'full', onDelta, promptOptions);
                 }
 
                 // Success!
                 const modelInfo = getModelInfo(actualModel);
-                const outputTokens = Math.ceil(summary.length / 4);
+                const { usage } = promptOptions;
 
                 log('info', `✓ Success with ${actualModel}: ${summary.length} chars`);
 
                 sendResponse({
                     success: true,
                     summary: summary,
+                    style: { id: style.id, name: style.name },
+                    language: { source: sourceLanguage, output: outputLanguage },
+                    contentHash,
                     modelInfo: {
                         id: actualModel,
-                        name: modelInfo.name + ' (Free)',
-                        provider: modelInfo.provider,
-                        contextWindow: modelInfo.context,
-                        inputTokens: inputTokens,
-                        outputTokens: outputTokens,
+                        name: isFreeModel(actualModel) && !/\(free\)$/i.test(modelInfo.name)
+                            ? modelInfo.name + ' (Free)'
+                            : modelInfo.name,
+                        provider: client.type === 'openrouter' ? modelInfo.provider : client.name,
+                        apiProvider: client.type,
+                        contextWindow: client.contextTokens
+                            ? `${Math.round(client.contextTokens / 1000)}K tokens`
+                            : modelInfo.context,
+                        contentTokens: inputTokens,
+                        apiCalls: usage.requests,
+                        inputTokens: usage.inputTokens,
+                        outputTokens: usage.outputTokens,
+                        pricing: modelInfo.pricing || null,
+                        estimatedCost: modelInfo.pricing
+                            ? usage.inputTokens * modelInfo.pricing.prompt + usage.outputTokens * modelInfo.pricing.completion
+                            : null,
                         chunksUsed: chunksUsed,
+                        reduceLevels: reduceLevels,
+                        reduceCalls: reduceCalls,
+                        cachedCalls: promptOptions.cacheStats.hits,
                         fallbackUsed: actualModel !== model
                     }
                 });
@@ -330,170 +996,1184 @@ async function handleSummarize(request, sendResponse) {
     }
 }
 
-// Split text into chunks
-function splitIntoChunks(text, chunkSize = CONFIG.CHUNK_SIZE) {
-    const chunks = [];
-    let remaining = text;
+// ============================================
+// Changes since a previous visit
+// ============================================
+
+// "What changed" run: summarise only the paragraph diff between request.previousText
+// (the content saved with an earlier entry) and request.text
+async function handleSummarizeChanges(request, sendResponse, onProgress = null) {
+    const changes = diffParagraphs(request.previousText || '', request.text || '');
+    if (changes.length === 0) {
+        sendResponse({ success: true, unchanged: true });
+        return;
+    }
 
-    while (remaining.length > 0) {
-        if (remaining.length <= chunkSize) {
-            chunks.push(remaining.trim());
-            break;
-        }
+    const counts = { added: 0, removed: 0, edited: 0 };
+    changes.forEach(change => counts[change.type]++);
+    log('info', `Changes: ${counts.added} added, ${counts.removed} removed, ${counts.edited} edited`);
 
-        let breakPoint = chunkSize;
-        const chunk = remaining.substring(0, chunkSize);
-        const lastPeriod = Math.max(
-            chunk.lastIndexOf('. '),
-            chunk.lastIndexOf('! '),
-            chunk.lastIndexOf('? '),
-            chunk.lastIndexOf('.\n'),
-            chunk.lastIndexOf('\n\n')
-        );
+    await handleSummarize(
+        { ...request, text: formatChanges(changes), styleId: CHANGES_STYLE.id },
+        (response) => sendResponse(response?.success ? { ...response, changes: counts } : response),
+        onProgress
+    );
+}
 
-        if (lastPeriod > chunkSize * 0.5) {
-            breakPoint = lastPeriod + 1;
-        } else {
-            // Fallback: try to split by space if no good sentence break found
-            const lastSpace = chunk.lastIndexOf(' ');
-            if (lastSpace > chunkSize * 0.5) {
-                breakPoint = lastSpace + 1;
-            }
-            // Else default to strict chunkSize split (which might break a word, but prevents infinite loop)
-        }
+// Paragraphs as the extractor writes them: one per line, list items included
+function splitParagraphs(text) {
+    return text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
 
-        chunks.push(remaining.substring(0, breakPoint).trim());
-        remaining = remaining.substring(breakPoint).trim();
+// Paragraph-level diff in page order: [{ type: 'added' | 'removed' | 'edited', before, after }]
+function diffParagraphs(previousText, text) {
+    const before = splitParagraphs(previousText);
+    const after = splitParagraphs(text);
+
+    // Unchanged runs at the start and end need no alignment
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+        start++;
+    }
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
     }
 
-    log('info', `Split into ${chunks.length} chunks`);
-    return chunks;
+    const ops = alignParagraphs(before.slice(start, endBefore), after.slice(start, endAfter));
+    return pairEdits(ops);
 }
 
-// Summarize with chunking
-async function summarizeWithChunking(text, apiKey, model) {
-    const chunks = splitIntoChunks(text);
-    const summaries = [];
-
-    for (let i = 0; i < chunks.length; i++) {
-        log('info', `Processing chunk ${i + 1}/${chunks.length}`);
+// Longest-common-subsequence alignment into same/removed/added steps.
+// A rewrite too large for the table is compared by set membership instead.
+function alignParagraphs(a, b) {
+    if (a.length * b.length > CONFIG.MAX_DIFF_CELLS) {
+        const inA = new Set(a);
+        const inB = new Set(b);
+        return [
+            ...a.filter(text => !inB.has(text)).map(text => ({ type: 'removed', text })),
+            ...b.map(text => ({ type: inA.has(text) ? 'same' : 'added', text }))
+        ];
+    }
 
-        if (i > 0) {
-            await delay(CONFIG.DELAY_BETWEEN_CHUNKS);
+    // lengths[i][j]: common subsequence length of a[i..] and b[j..]
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[i] === b[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
         }
-
-        const chunkSummary = await summarizeSingleChunk(
-            chunks[i],
-            apiKey,
-            model,
-            `part ${i + 1} of ${chunks.length}`
-        );
-        summaries.push(chunkSummary);
     }
 
-    if (summaries.length === 1) {
-        return { summary: summaries[0], chunks: 1 };
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            ops.push({ type: 'removed', text: a[i++] });
+        } else {
+            ops.push({ type: 'added', text: b[j++] });
+        }
     }
+    while (i < a.length) ops.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) ops.push({ type: 'added', text: b[j++] });
+    return ops;
+}
 
-    // Combine summaries
-    log('info', 'Combining chunk summaries...');
-    await delay(CONFIG.DELAY_BETWEEN_CHUNKS);
-
-    const combinedText = summaries.join('\n\n---\n\n');
+// Within each run of changes, a removed paragraph with a similar added one is an edit
+function pairEdits(ops) {
+    const changes = [];
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+        for (const text of removed) {
+            const match = added.findIndex(candidate => paragraphSimilarity(text, candidate) >= CONFIG.EDIT_SIMILARITY);
+            if (match >= 0) {
+                changes.push({ type: 'edited', before: text, after: added.splice(match, 1)[0] });
+            } else {
+                changes.push({ type: 'removed', before: text });
+            }
+        }
+        added.forEach(text => changes.push({ type: 'added', after: text }));
+        removed = [];
+        added = [];
+    };
 
-    if (combinedText.length > CONFIG.CHUNK_SIZE * 2) {
-        return {
-            summary: summaries.join('\n\n'),
-            chunks: chunks.length
-        };
+    for (const op of ops) {
+        if (op.type === 'same') {
+            flush();
+        } else {
+            (op.type === 'removed' ? removed : added).push(op.text);
+        }
     }
-
-    const finalSummary = await combineSummaries(combinedText, apiKey, model);
-    return { summary: finalSummary, chunks: chunks.length };
+    flush();
+    return changes;
 }
 
-// Summarize single chunk
-async function summarizeSingleChunk(text, apiKey, model, chunkInfo) {
-    log('info', `summarizeSingleChunk: ${text.length} chars, ${chunkInfo}`);
+// Share of distinct words two paragraphs have in common (Jaccard index)
+function paragraphSimilarity(a, b) {
+    const wordsA = new Set(a.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    const wordsB = new Set(b.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
 
-    const prompt = `Summarize the following content as bullet points. Format rules:
-- Use bullet points (•) for each item
-- Each bullet should be a concise 1-2 sentence summary
-- If the content has numbered items (like "Top 10"), keep the numbers (1., 2., etc.)
-- Output ONLY the bullet points - no introductions, no preambles, no "Here is a summary"
-- Start directly with the first bullet point
+    let shared = 0;
+    wordsA.forEach(word => {
+        if (wordsB.has(word)) shared++;
+    });
+    return shared / (wordsA.size + wordsB.size - shared);
+}
 
-Content:
-${text}`;
+// The diff as model input, one marked block per change
+function formatChanges(changes) {
+    return changes.map(change => {
+        if (change.type === 'added') return `[ADDED]\n${change.after}`;
+        if (change.type === 'removed') return `[REMOVED]\n${change.before}`;
+        return `[EDITED]\nBefore: ${change.before}\nAfter: ${change.after}`;
+    }).join('\n\n');
+}
 
-    return await makeApiRequest(prompt, apiKey, model, CONFIG.MAX_TOKENS_PER_CHUNK);
+// ============================================
+// Follow-up questions about a summarised page
+// ============================================
+
+// Common words that say nothing about which passage is relevant
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+    'our', 'out', 'has', 'his', 'how', 'its', 'who', 'did', 'does', 'what', 'when', 'where', 'which',
+    'why', 'with', 'this', 'that', 'they', 'them', 'then', 'than', 'there', 'their', 'from', 'have',
+    'been', 'were', 'will', 'would', 'could', 'should', 'about', 'into', 'more', 'some', 'such',
+    'only', 'also', 'just', 'like', 'page', 'article', 'tell', 'explain', 'does', 'said', 'says'
+]);
+
+function tokenizeForSearch(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word));
 }
 
-// Combine summaries
-async function combineSummaries(combinedSummaries, apiKey, model) {
-    log('info', `combineSummaries: ${combinedSummaries.length} chars`);
+// Pick the passages most relevant to the query (TF-IDF overlap) within the
+// token budget, returned in document order. Small pages are sent whole.
+function selectRelevantChunks(content, query, maxTokens) {
+    if (estimateTokens(content) <= maxTokens) {
+        return [content];
+    }
 
-    const prompt = `Combine these summaries into one clean bullet-point list. Format rules:
-- Use bullet points (•) or numbered list if items have rankings
-- Each bullet should be concise (1-2 sentences)
-- Remove any duplicate information
-- Output ONLY the bullet points - no introductions, no preambles
-- Start directly with the first bullet point
+    const chunks = splitIntoChunks(content, CONFIG.QA_CHUNK_TOKENS);
+    const chunkTerms = chunks.map(tokenizeForSearch);
+    const queryTerms = new Set(tokenizeForSearch(query));
 
-Summaries to combine:
-${combinedSummaries}`;
+    const documentFrequency = new Map();
+    chunkTerms.forEach(terms => {
+        new Set(terms).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
 
-    return await makeApiRequest(prompt, apiKey, model, 1000);
-}
+    const scored = chunks.map((chunk, index) => {
+        const termCounts = new Map();
+        chunkTerms[index].forEach(term => termCounts.set(term, (termCounts.get(term) || 0) + 1));
 
-// Make API request
-async function makeApiRequest(prompt, apiKey, model, maxTokens, retryCount = 0) {
-    const promptLength = prompt.length;
-    log('info', `API Request: ${promptLength} chars, maxTokens=${maxTokens}, retry=${retryCount}`);
+        let score = 0;
+        for (const term of queryTerms) {
+            const count = termCounts.get(term);
+            if (count) {
+                score += (1 + Math.log(count)) * Math.log(1 + chunks.length / documentFrequency.get(term));
+            }
+        }
+        // The opening passage usually says what the page is about
+        if (index === 0) score += 0.5;
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 60000);
+        return { chunk, index, score, tokens: estimateTokens(chunk) };
+    });
+
+    const selected = [];
+    let usedTokens = 0;
+    for (const item of scored.sort((a, b) => b.score - a.score || a.index - b.index)) {
+        if (usedTokens + item.tokens > maxTokens) continue;
+        selected.push(item);
+        usedTokens += item.tokens;
+    }
+
+    log('info', `Q&A: selected ${selected.length}/${chunks.length} passages (~${usedTokens} tokens)`);
+    return selected.sort((a, b) => a.index - b.index).map(item => item.chunk);
+}
+
+// Messages for one question: grounded system prompt with the selected
+// passages, the recent thread, then the new question
+function buildQuestionMessages(request, passages) {
+    const languageRule = request.outputLanguage && request.outputLanguage !== 'auto'
+        ? `Answer in ${getLanguageName(request.outputLanguage)}.`
+        : 'Answer in the language the question is asked in.';
+
+    const system = `You answer questions about the web page "${request.title || 'Untitled Page'}" (${request.url || 'unknown URL'}).
+Rules:
+- Use ONLY the page excerpts below; do not rely on outside knowledge
+- If the excerpts do not contain the answer, say that the page does not cover it
+- Be concise; quote short phrases from the page when it helps
+- ${languageRule}
+
+Page excerpts (in page order, separated by ---):
+${passages.join('\n\n---\n\n')}`;
+
+    const history = (request.thread || [])
+        .filter(message => message.role === 'user' || message.role === 'assistant')
+        .slice(-CONFIG.QA_HISTORY_TURNS)
+        .map(message => ({ role: message.role, content: message.content }));
+
+    return [
+        { role: 'system', content: system },
+        ...history,
+        { role: 'user', content: request.question }
+    ];
+}
 
+// Answer a question about a stored page. onProgress receives { stage: 'answer', text } while streaming.
+async function handleAsk(request, sendResponse, onProgress = null) {
     try {
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+        await loadExhaustedModels();
+        await ensureModelCatalogue();
+
+        const { question, content, apiKey, customCode, provider: providerConfig } = request;
+        const client = createClient(providerConfig, apiKey);
+
+        if (!apiKey && client.provider.requiresApiKey) {
+            sendResponse({ success: false, error: 'API key is required' });
+            return;
+        }
+        if (!question || !question.trim()) {
+            sendResponse({ success: false, error: 'Please enter a question.' });
+            return;
+        }
+        if (!content) {
+            sendResponse({ success: false, error: 'The page content was not saved with this summary.' });
+            return;
+        }
+
+        const isUsingFreeModels = client.provider.supportsFreeModels && (!customCode || freeModels.includes(customCode));
+        let model = customCode || (client.provider.supportsFreeModels ? getFirstAvailableModel() : client.models[0]);
+
+        if (!model) {
+            sendResponse({ success: false, error: 'No model available. Choose a model in settings.' });
+            return;
+        }
+
+        // Follow-ups like "why?" need the previous question to find the right passages
+        const previousQuestion = [...(request.thread || [])].reverse().find(m => m.role === 'user')?.content || '';
+        const query = `${question} ${previousQuestion}`;
+        const onDelta = onProgress ? (partial) => onProgress({ stage: 'answer', text: partial }) : null;
+
+        const maxAttempts = isUsingFreeModels ? freeModels.length : 1;
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                const budget = Math.min(getChunkTokenBudget(model, client), CONFIG.QA_CONTEXT_TOKENS);
+                const passages = selectRelevantChunks(content, query, budget);
+                const messages = buildQuestionMessages(request, passages);
+
+                if (onProgress) onProgress({ stage: 'start', model });
+                const answer = await makeApiRequest(messages, client, model, CONFIG.QA_MAX_TOKENS, 0, onDelta);
+
+                sendResponse({ success: true, answer, model, passagesUsed: passages.length });
+                return;
+            } catch (error) {
+                if (!(error.isRateLimited && isUsingFreeModels)) throw error;
+
+                await markModelExhausted(model);
+                model = getNextAvailableModel(model);
+                if (!model) break;
+                log('info', `Q&A: switching to fallback model ${model}`);
+            }
+        }
+
+        sendResponse({ success: false, error: 'All free models exhausted for today!' });
+    } catch (error) {
+        log('error', 'Question failed', { message: error.message });
+        sendResponse({ success: false, error: error.message || 'Failed to answer the question' });
+    }
+}
+
+// ============================================
+// Summaries started outside the popup
+// ============================================
+
+const CONTEXT_MENU_SELECTION = 'summarize-selection';
+const CONTEXT_MENU_LINK = 'summarize-link';
+
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_SELECTION,
+            title: 'Summarise selection',
+            contexts: ['selection']
+        });
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_LINK,
+            title: 'Summarise link target',
+            contexts: ['link']
+        });
+    });
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (command === 'summarize-page') {
+        summarizeActiveTab(tab);
+    }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === CONTEXT_MENU_SELECTION) {
+        summarizeSelection(info, tab);
+    } else if (info.menuItemId === CONTEXT_MENU_LINK) {
+        summarizeLinkFromMenu(info.linkUrl);
+    }
+});
+
+// Clicking a "summary ready" notification opens that entry in the popup
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+    chrome.notifications.clear(notificationId);
+    if (!notificationId.startsWith('summary-')) return;
+
+    await chrome.storage.local.set({ pendingSummaryId: notificationId.slice('summary-'.length) });
+    try {
+        await chrome.action.openPopup();
+    } catch (e) {
+        // Not allowed outside a user gesture in some browsers; the popup
+        // picks the entry up the next time it opens
+        log('info', 'Could not open popup', { message: e.message });
+    }
+});
+
+function notify(id, title, message) {
+    chrome.notifications.create(id, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title,
+        message: message.length > 200 ? message.substring(0, 197) + '...' : message
+    });
+}
+
+async function summarizeSelection(info, tab) {
+    try {
+        // Prefer the page's own selection string: it keeps line breaks that
+        // info.selectionText collapses
+        let text = info.selectionText || '';
+        try {
+            const [result] = await chrome.scripting.executeScript({
+                target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+                func: () => window.getSelection().toString()
+            });
+            if (result?.result?.trim()) text = result.result;
+        } catch (e) {
+            log('info', 'Could not read selection from page', { message: e.message });
+        }
+
+        if (!text.trim()) throw new Error('Nothing is selected.');
+
+        const entry = await summarizeInBackground({
+            text,
+            title: `Selection: ${tab.title || 'Untitled Page'}`,
+            url: info.pageUrl || tab.url,
+            sourceType: 'selection',
+            sourceElement: 'selection'
+        });
+        notify(`summary-${entry.id}`, 'Summary ready', entry.summary);
+    } catch (error) {
+        log('error', 'Selection summary failed', { message: error.message });
+        notify('summary-error', 'Could not summarise selection', error.message);
+    }
+}
+
+// Host permission pattern for a link's site
+function linkOrigin(url) {
+    const { protocol, hostname } = new URL(url);
+    return `${protocol}//${hostname}/*`;
+}
+
+// Menu click on a link: summarise it if its site is already allowed, otherwise
+// ask on the permission page. The prompt needs a user gesture in an extension
+// page, which a menu click in the service worker doesn't count as.
+async function summarizeLinkFromMenu(url) {
+    try {
+        if (/^https?:/i.test(url || '') && !await chrome.permissions.contains({ origins: [linkOrigin(url)] })) {
+            await chrome.windows.create({
+                url: chrome.runtime.getURL(`permission/permission.html?url=${encodeURIComponent(url)}`),
+                type: 'popup',
+                width: 480,
+                height: 280
+            });
+            return;
+        }
+    } catch (e) {
+        log('info', 'Could not open the permission page', { message: e.message });
+    }
+    // Allowed already, or reported as an error there
+    await summarizeLinkTarget(url);
+}
+
+// Fetch and summarise a link in the background; called from the menu or, once
+// access is granted, from the permission page
+async function summarizeLinkTarget(url) {
+    try {
+        if (!/^https?:/i.test(url || '')) throw new Error('Only http(s) links can be summarised.');
+        if (!await chrome.permissions.contains({ origins: [linkOrigin(url)] })) {
+            throw new Error(`No access to ${new URL(url).hostname}. Allow it when asked, or turn on "Summarise links on any site" in the extension's settings.`);
+        }
+
+        const page = await extractFromUrl(url);
+        if (!page?.success) throw new Error(page?.error || 'Failed to extract the linked page.');
+        if (!page.content?.trim()) throw new Error('No text content found on the linked page.');
+
+        const entry = await summarizeInBackground({
+            text: page.content,
+            title: page.title,
+            url,
+            language: page.language?.code,
+            sourceType: page.sourceType || 'link',
+            sourceElement: page.sourceElement,
+            pageCount: page.pageCount,
+            articlePages: page.articlePages,
+            wordCount: page.wordCount,
+            charCount: page.charCount
+        });
+        notify(`summary-${entry.id}`, 'Summary ready', entry.summary);
+    } catch (error) {
+        log('error', 'Link summary failed', { message: error.message });
+        notify('summary-error', 'Could not summarise link', error.message);
+    }
+}
+
+// Keyboard shortcut: summarise the active tab with progress on the action badge
+async function summarizeActiveTab(tab) {
+    try {
+        if (!tab) {
+            [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        }
+        if (!tab?.url || !/^(https?|file):/i.test(tab.url)) {
+            throw new Error('Cannot summarize browser system pages.');
+        }
+
+        setBadge('…');
+        const page = await TabContent.extract(tab.id);
+        if (!page?.success) throw new Error(page?.error || 'Failed to extract page content.');
+        if (!page.content?.trim()) throw new Error('No text content found on this page.');
+
+        let chunksStarted = 0;
+        const entry = await summarizeInBackground({
+            text: page.content,
+            title: page.title,
+            url: page.url,
+            language: page.language?.code,
+            sourceType: page.sourceType || 'page',
+            sourceElement: page.sourceElement,
+            pageCount: page.pageCount,
+            articlePages: page.articlePages,
+            wordCount: page.wordCount,
+            charCount: page.charCount,
+            onProgress: (progress) => {
+                if (progress.stage === 'chunk' && progress.index + 1 > chunksStarted) {
+                    chunksStarted = progress.index + 1;
+                    setBadge(`${chunksStarted}/${progress.total}`);
+                } else if (progress.stage === 'reduce' || progress.stage === 'combine') {
+                    setBadge('Σ');
+                }
+            }
+        });
+
+        setBadge('✓', '#10B981', 5000);
+        notify(`summary-${entry.id}`, `Summary ready: ${entry.title}`, entry.summary);
+    } catch (error) {
+        log('error', 'Shortcut summary failed', { message: error.message });
+        setBadge('!', '#EF4444', 5000);
+        notify('summary-error', 'Could not summarise page', error.message);
+    }
+}
+
+// ============================================
+// Batch: every tab of a window or tab group
+// ============================================
+
+let batchRunning = false;
+
+// Summarise the tabs one after another (free models get the same pause as
+// between chunks), then write a digest linking to each source.
+// Runs in the background; the popup may close meanwhile.
+async function summarizeTabs({ windowId, groupId = null }) {
+    batchRunning = true;
+    const entries = [];
+    const skipped = [];
+
+    try {
+        const tabs = (await chrome.tabs.query(groupId != null ? { groupId } : { windowId }))
+            .filter(tab => !tab.url || /^(https?|file):/i.test(tab.url));
+        if (tabs.length === 0) throw new Error('No summarisable tabs found.');
+
+        const { providerConfig, customCode } = await chrome.storage.local.get(['providerConfig', 'customCode']);
+        // Paced like free-model chunks: the free model list, or a chosen ':free' model
+        const usingFreeModels = (!providerConfig || providerConfig.type === 'openrouter') && (!customCode || isFreeModel(customCode));
+
+        for (let i = 0; i < tabs.length; i++) {
+            const tab = tabs[i];
+            setBadge(`${i + 1}/${tabs.length}`);
+
+            if (i > 0 && usingFreeModels) {
+                await delay(CONFIG.DELAY_BETWEEN_CHUNKS);
+            }
+
+            try {
+                if (tab.discarded) throw new Error('Tab is not loaded');
+                const page = await TabContent.extract(tab.id);
+                if (!page?.success) throw new Error(page?.error || 'Failed to extract page content');
+                if (!page.content?.trim()) throw new Error('No text content');
+
+                const entry = await summarizeInBackground({
+                    text: page.content,
+                    title: page.title,
+                    url: page.url,
+                    language: page.language?.code,
+                    sourceType: page.sourceType || 'page',
+                    sourceElement: page.sourceElement,
+                    pageCount: page.pageCount,
+                    articlePages: page.articlePages,
+                    wordCount: page.wordCount,
+                    charCount: page.charCount
+                });
+                entries.push(entry);
+            } catch (error) {
+                log('warn', `Batch: skipped tab ${tab.id}`, { message: error.message });
+                skipped.push(tab.title || tab.url || `Tab ${tab.id}`);
+                // No point trying the remaining tabs
+                if (/exhausted/i.test(error.message)) break;
+            }
+        }
+
+        if (entries.length === 0) throw new Error('None of the tabs could be summarised.');
+
+        setBadge('Σ');
+        const digest = await writeDigest(entries, groupId);
+        const note = skipped.length ? ` (${skipped.length} skipped)` : '';
+        setBadge('✓', '#10B981', 5000);
+        notify(`summary-${digest.id}`, `Digest ready: ${entries.length} tabs${note}`, digest.summary);
+    } catch (error) {
+        log('error', 'Batch summary failed', { message: error.message });
+        setBadge('!', '#EF4444', 5000);
+        notify('summary-error', 'Could not summarise tabs', error.message);
+    } finally {
+        batchRunning = false;
+    }
+}
+
+// Digest of the per-tab summaries, saved as its own history entry
+async function writeDigest(entries, groupId) {
+    let title = `Digest of ${entries.length} tabs`;
+    if (groupId != null) {
+        try {
+            const group = await chrome.tabGroups.get(groupId);
+            if (group.title) title = `Digest: ${group.title}`;
+        } catch (e) {
+            log('info', 'Tab group lookup failed', { message: e.message });
+        }
+    }
+
+    const text = entries.map((entry, i) =>
+        `[${i + 1}] ${entry.title}\nURL: ${entry.url}\n${entry.summary}`
+    ).join('\n\n');
+
+    // The model may drop links, so the full source list always follows the digest
+    const sourceList = entries.map((entry, i) => `${i + 1}. ${entry.title} - ${entry.url}`).join('\n');
+
+    return summarizeInBackground({
+        text,
+        title,
+        // A digest belongs to no single site; sources links the tabs it covers
+        url: null,
+        styleId: DIGEST_STYLE.id,
+        sourceType: 'digest',
+        sourceElement: 'digest',
+        sources: entries.map(entry => entry.id),
+        footer: `Sources:\n${sourceList}`
+    });
+}
+
+let badgeClearTimer = null;
+
+// Show short status text on the toolbar icon, optionally clearing it after clearAfter ms
+function setBadge(text, color = '#6366F1', clearAfter = 0) {
+    clearTimeout(badgeClearTimer);
+    chrome.action.setBadgeBackgroundColor({ color });
+    chrome.action.setBadgeText({ text });
+    if (clearAfter) {
+        badgeClearTimer = setTimeout(() => chrome.action.setBadgeText({ text: '' }), clearAfter);
+    }
+}
+
+// Extract a page without showing it: the HTML is fetched (host access to the
+// link's site is required) and parsed in the offscreen document
+async function extractFromUrl(url) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) throw new Error(`Could not load the link (HTTP ${response.status}).`);
+    if (/application\/pdf/i.test(response.headers.get('content-type') || '')) {
+        // The offscreen document downloads the file again for itself
+        response.body?.cancel();
+        return TabContent.fromPdf(await PdfText.fromUrl(response.url || url), response.url || url);
+    }
+
+    const html = await response.text();
+    // The offscreen document cannot read storage itself
+    const { extractionRules, maxArticlePages } = await chrome.storage.local.get(['extractionRules', 'maxArticlePages']);
+    await ensureOffscreenDocument();
+    return chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: 'extractHtml',
+        html,
+        url: response.url || url,
+        rules: extractionRules || [],
+        maxPages: maxArticlePages
+    });
+}
+
+let creatingOffscreen = null;
+
+async function ensureOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (contexts.length > 0) return;
+
+    if (!creatingOffscreen) {
+        creatingOffscreen = chrome.offscreen.createDocument({
+            url: 'offscreen/offscreen.html',
+            reasons: ['DOM_PARSER', 'WORKERS'],
+            justification: 'Parse fetched pages and PDFs to extract their text'
+        }).finally(() => { creatingOffscreen = null; });
+    }
+    await creatingOffscreen;
+}
+
+// Stands in for common/pdf-text.js, which TabContent uses for PDF tabs: the
+// offscreen document loads pdf.js on first use and reads the file there
+const PdfText = {
+    async fromUrl(url) {
+        await ensureOffscreenDocument();
+        const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'readPdf', url });
+        if (!response?.success) throw new Error(response?.error || 'Could not read this PDF.');
+        return response.pdf;
+    }
+};
+
+// Summarise with the settings saved in the popup and add the result to history
+async function summarizeInBackground(source) {
+    const settings = await chrome.storage.local.get(['apiKey', 'customCode', 'chunkConcurrency', 'providerConfig', 'summaryStyle', 'outputLanguage']);
+
+    // No popup port keeps the worker alive here; an extension API call
+    // resets its idle timer, so make one regularly until the run ends
+    const keepAlive = setInterval(() => chrome.runtime.getPlatformInfo(), 20000);
+    const response = await runAction({
+        action: 'summarize',
+        text: source.text,
+        apiKey: settings.apiKey,
+        customCode: settings.customCode || null,
+        concurrency: settings.chunkConcurrency,
+        provider: settings.providerConfig,
+        styleId: source.styleId || settings.summaryStyle || null,
+        outputLanguage: settings.outputLanguage || 'auto',
+        sourceLanguage: source.language || null,
+        title: source.title,
+        url: source.url
+    }, source.onProgress || null).finally(() => clearInterval(keepAlive));
+
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to summarize content');
+    }
+
+    // Unchanged page: the saved summary is the result
+    if (response.cached) {
+        const existing = await HistoryDB.get(response.cachedEntryId);
+        if (existing) return existing;
+    }
+
+    const text = source.text.trim();
+    return saveHistoryEntry({
+        title: source.title,
+        url: source.url,
+        summary: source.footer ? `${response.summary}\n\n${source.footer}` : response.summary,
+        content: source.text,
+        wordCount: source.wordCount ?? text.split(/\s+/).filter(Boolean).length,
+        charCount: source.charCount ?? text.length,
+        sourceElement: source.sourceElement,
+        sourceType: source.sourceType,
+        modelInfo: response.modelInfo,
+        style: response.style,
+        sourceLanguage: response.language?.source || source.language,
+        outputLanguage: response.language?.output,
+        contentHash: response.contentHash,
+        pageCount: source.pageCount,
+        articlePages: source.articlePages,
+        sources: source.sources
+    });
+}
+
+async function saveHistoryEntry(data) {
+    const entry = HistoryDB.createEntry(data);
+    await HistoryDB.put(entry);
+    return entry;
+}
+
+// Split text into chunks of roughly maxTokens each, preferring sentence and paragraph breaks
+function splitIntoChunks(text, maxTokens) {
+    // Convert the token budget to characters using this text's own density
+    const charsPerToken = text.length / Math.max(1, estimateTokens(text));
+    const chunkSize = Math.max(500, Math.floor(maxTokens * charsPerToken));
+    const chunks = [];
+    let remaining = text;
+
+    while (remaining.length > 0) {
+        if (remaining.length <= chunkSize) {
+            chunks.push(remaining.trim());
+            break;
+        }
+
+        let breakPoint = chunkSize;
+        const chunk = remaining.substring(0, chunkSize);
+        // Page boundaries (see getChunkLabels) are the best place to split
+        const lastPage = chunk.lastIndexOf('\n\n[Page ');
+        const lastPeriod = Math.max(
+            chunk.lastIndexOf('. '),
+            chunk.lastIndexOf('! '),
+            chunk.lastIndexOf('? '),
+            chunk.lastIndexOf('.\n'),
+            chunk.lastIndexOf('\n\n')
+        );
+
+        if (lastPage > chunkSize * 0.5) {
+            breakPoint = lastPage;
+        } else if (lastPeriod > chunkSize * 0.5) {
+            breakPoint = lastPeriod + 1;
+        } else {
+            // Fallback: try to split by space if no good sentence break found
+            const lastSpace = chunk.lastIndexOf(' ');
+            if (lastSpace > chunkSize * 0.5) {
+                breakPoint = lastSpace + 1;
+            }
+            // Else default to strict chunkSize split (which might break a word, but prevents infinite loop)
+        }
+
+        chunks.push(remaining.substring(0, breakPoint).trim());
+        remaining = remaining.substring(breakPoint).trim();
+    }
+
+    log('info', `Split into ${chunks.length} chunks`);
+    return chunks;
+}
+
+// Run tasks with up to maxConcurrency in flight, returning results in task order.
+// A temporary rate limit halves the concurrency and pauses new starts (exponential
+// backoff, or the server's Retry-After); successes raise the concurrency back up.
+// pacing is the pause between one task finishing and the next one starting.
+async function runChunkScheduler(tasks, maxConcurrency, pacing = 0) {
+    const results = new Array(tasks.length);
+    const pending = tasks.map((_, index) => index);
+    const requeues = new Array(tasks.length).fill(0);
+    const state = {
+        limit: maxConcurrency,
+        active: 0,
+        nextStartAt: 0,
+        backoff: CONFIG.RATE_LIMIT_BACKOFF,
+        successes: 0,
+        failed: false
+    };
+
+    async function worker() {
+        // Workers with nothing to start stay until the last task settles, as a
+        // rate-limited task goes back into the queue
+        while (!state.failed && (pending.length > 0 || state.active > 0)) {
+            if (pending.length === 0 || state.active >= state.limit) {
+                await delay(250);
+                continue;
+            }
+
+            const wait = state.nextStartAt - Date.now();
+            if (wait > 0) {
+                await delay(wait);
+                continue;
+            }
+
+            const index = pending.shift();
+            state.active++;
+
+            try {
+                results[index] = await tasks[index]();
+
+                if (pacing) {
+                    state.nextStartAt = Date.now() + pacing;
+                }
+                state.backoff = CONFIG.RATE_LIMIT_BACKOFF;
+                state.successes++;
+                if (state.limit < maxConcurrency && state.successes >= state.limit) {
+                    state.limit++;
+                    state.successes = 0;
+                    log('info', `Scheduler: concurrency raised to ${state.limit}`);
+                }
+            } catch (error) {
+                if (!error.isTemporaryRateLimit || requeues[index] >= CONFIG.MAX_CHUNK_REQUEUES) {
+                    state.failed = true;
+                    throw error;
+                }
+
+                requeues[index]++;
+                const pause = Math.max(state.backoff, error.retryAfter || 0, pacing);
+                state.limit = Math.max(1, Math.floor(state.limit / 2));
+                state.successes = 0;
+                state.nextStartAt = Date.now() + pause;
+                state.backoff = Math.min(state.backoff * 2, CONFIG.MAX_RATE_LIMIT_BACKOFF);
+                pending.unshift(index);
+
+                log('info', `Scheduler: chunk ${index + 1} rate-limited, concurrency ${state.limit}, pausing ${pause}ms`);
+            } finally {
+                state.active--;
+            }
+        }
+    }
+
+    const workers = Math.max(1, Math.min(maxConcurrency, tasks.length));
+    await Promise.all(Array.from({ length: workers }, () => worker()));
+    return results;
+}
+
+const PAGE_MARKER = /^\[Page (\d+)\]$/gm;
+
+// "part 2 of 5" for each chunk, plus the page range it covers when the text
+// carries "[Page N]" lines (PDFs): "part 2 of 5, pages 4-7". A chunk that
+// starts mid-page continues the page the previous chunk ended on.
+function getChunkLabels(chunks) {
+    let currentPage = null;
+    return chunks.map((chunk, i) => {
+        const part = `part ${i + 1} of ${chunks.length}`;
+        const pages = Array.from(chunk.matchAll(PAGE_MARKER), match => Number(match[1]));
+        const first = chunk.startsWith('[Page ') ? pages[0] : (currentPage ?? pages[0]);
+        const last = pages.length > 0 ? pages[pages.length - 1] : first;
+        currentPage = last;
+
+        if (first == null) return part;
+        return first === last ? `${part}, page ${first}` : `${part}, pages ${first}-${last}`;
+    });
+}
+
+// Summarize with chunking
+async function summarizeWithChunking(text, client, model, onProgress = null, concurrency = CONFIG.MAX_CONCURRENT_CHUNKS, promptOptions = {}) {
+    const chunkTokens = getChunkTokenBudget(model, client);
+    const chunks = splitIntoChunks(text, chunkTokens);
+    const labels = getChunkLabels(chunks);
+
+    // Free models keep the fixed one-at-a-time pacing; paid models run in parallel
+    const freeModel = isFreeModel(model);
+    const maxConcurrency = freeModel ? 1 : Math.max(1, Number(concurrency) || CONFIG.MAX_CONCURRENT_CHUNKS);
+    const pacing = freeModel ? CONFIG.DELAY_BETWEEN_CHUNKS : 0;
+
+    log('info', `Scheduling ${chunks.length} chunks: concurrency=${maxConcurrency}, pacing=${pacing}ms`);
+
+    // Chunks summarised before with the same settings come from the cache and skip the queue
+    const summaries = await Promise.all(chunks.map((chunk, i) =>
+        getCachedResponse(buildChunkPrompt(chunk, labels[i], promptOptions), promptOptions)
+    ));
+    const pending = summaries.map((summary, i) => summary === null ? i : -1).filter(i => i >= 0);
+    summaries.forEach((summary, i) => {
+        if (summary !== null && onProgress) {
+            onProgress({ stage: 'chunk', index: i, total: chunks.length, text: summary });
+        }
+    });
+    if (pending.length < chunks.length) {
+        log('info', `${chunks.length - pending.length}/${chunks.length} chunks from cache`);
+    }
+
+    const tasks = pending.map(i => () => {
+        log('info', `Processing chunk ${i + 1}/${chunks.length}`);
+
+        const onDelta = onProgress
+            ? (partial) => onProgress({ stage: 'chunk', index: i, total: chunks.length, text: partial })
+            : null;
+
+        return summarizeSingleChunk(
+            chunks[i],
+            client,
+            model,
+            labels[i],
+            onDelta,
+            promptOptions
+        );
+    });
+
+    const results = await runChunkScheduler(tasks, maxConcurrency, pacing);
+    pending.forEach((chunkIndex, i) => {
+        summaries[chunkIndex] = results[i];
+    });
+
+    if (summaries.length === 1) {
+        return { summary: summaries[0], chunks: 1 };
+    }
+
+    // Combine summaries
+    log('info', 'Combining chunk summaries...');
+    if (freeModel && pending.length > 0) {
+        await delay(CONFIG.DELAY_BETWEEN_CHUNKS);
+    }
+
+    const reduced = await reduceSummaries(summaries, client, model, chunkTokens, onProgress, maxConcurrency, pacing, promptOptions);
+    return {
+        summary: reduced.summary,
+        chunks: chunks.length,
+        reduceLevels: reduced.levels,
+        reduceCalls: reduced.calls
+    };
+}
+
+// Group summaries in order so each group's joined text fits the token budget.
+// Every group holds at least two summaries so each level shrinks the list.
+function groupSummaries(summaries, maxTokens) {
+    const groups = [];
+    let group = [];
+    let groupTokens = 0;
+
+    for (const summary of summaries) {
+        const tokens = estimateTokens(summary);
+        if (group.length >= 2 && groupTokens + tokens > maxTokens) {
+            groups.push(group);
+            group = [];
+            groupTokens = 0;
+        }
+        group.push(summary);
+        groupTokens += tokens;
+    }
+
+    // Fold a trailing single summary into the previous group
+    if (group.length === 1 && groups.length > 0) {
+        groups[groups.length - 1].push(group[0]);
+    } else if (group.length > 0) {
+        groups.push(group);
+    }
+
+    return groups;
+}
+
+// Hierarchical map-reduce: combine summaries group by group, level by level,
+// until a single summary remains. Only the final combine is streamed.
+async function reduceSummaries(summaries, client, model, maxTokens, onProgress, maxConcurrency, pacing, promptOptions = {}) {
+    let current = summaries;
+    let levels = 0;
+    let calls = 0;
+
+    while (current.length > 1) {
+        levels++;
+        const groups = groupSummaries(current, maxTokens);
+        log('info', `Reduce level ${levels}: ${current.length} summaries in ${groups.length} groups`);
+
+        if (groups.length === 1) {
+            const onDelta = onProgress
+                ? (partial) => onProgress({ stage: 'combine', text: partial })
+                : null;
+
+            calls++;
+            const finalSummary = await combineSummaries(groups[0].join('\n\n---\n\n'), client, model, onDelta, promptOptions);
+            return { summary: finalSummary, levels, calls };
+        }
+
+        const tasks = groups.map((group, i) => () => {
+            if (onProgress) {
+                onProgress({ stage: 'reduce', level: levels, index: i, total: groups.length });
+            }
+            calls++;
+            return combineSummaries(group.join('\n\n---\n\n'), client, model, null, promptOptions);
+        });
+
+        current = await runChunkScheduler(tasks, maxConcurrency, pacing);
+
+        if (pacing) {
+            await delay(pacing);
+        }
+    }
+
+    return { summary: current[0], levels, calls };
+}
+
+function buildChunkPrompt(text, chunkInfo, promptOptions = {}) {
+    const style = promptOptions.style || PROMPT_PRESETS[DEFAULT_STYLE_ID];
+    return renderPromptTemplate(style.chunk, {
+        content: text,
+        title: promptOptions.title,
+        url: promptOptions.url,
+        part: chunkInfo,
+        language: promptOptions.language
+    }, promptOptions.languageRule ? [promptOptions.languageRule] : []);
+}
+
+function buildCombinePrompt(combinedSummaries, promptOptions = {}) {
+    const style = promptOptions.style || PROMPT_PRESETS[DEFAULT_STYLE_ID];
+    return renderPromptTemplate(style.combine, {
+        content: combinedSummaries,
+        title: promptOptions.title,
+        url: promptOptions.url,
+        part: 'full',
+        language: promptOptions.language
+    }, promptOptions.languageRule ? [promptOptions.languageRule] : []);
+}
+
+// Summarize single chunk
+async function summarizeSingleChunk(text, client, model, chunkInfo, onDelta = null, promptOptions = {}) {
+    log('info', `summarizeSingleChunk: ${text.length} chars, ${chunkInfo}`);
+
+    const prompt = buildChunkPrompt(text, chunkInfo, promptOptions);
+    const maxTokens = getMaxOutputTokens(estimateTokens(text));
+    return await cachedApiRequest(prompt, client, model, maxTokens, onDelta, promptOptions);
+}
+
+// Combine summaries
+async function combineSummaries(combinedSummaries, client, model, onDelta = null, promptOptions = {}) {
+    log('info', `combineSummaries: ${combinedSummaries.length} chars`);
+
+    const prompt = buildCombinePrompt(combinedSummaries, promptOptions);
+    return await cachedApiRequest(prompt, client, model, 1000, onDelta, promptOptions);
+}
+
+// ============================================
+// Summary cache
+// ============================================
+// Whole summaries are found through the contentHash of history entries.
+// Single prompts (chunks, combine steps) are cached by a hash of the model
+// setting and the exact messages, so the unchanged parts of a page are not
+// summarised again. promptOptions.cacheScope turns the prompt cache on;
+// promptOptions.forceRefresh skips reading it.
+
+async function hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function getPromptCacheKey(prompt, promptOptions) {
+    return hashText(`${promptOptions.cacheScope}\n${JSON.stringify(buildMessages(prompt))}`);
+}
+
+// The cached response for a prompt, or null
+async function getCachedResponse(prompt, promptOptions) {
+    if (!promptOptions.cacheScope || promptOptions.forceRefresh) return null;
+
+    try {
+        const cached = await HistoryDB.getChunk(await getPromptCacheKey(prompt, promptOptions));
+        if (cached !== null && promptOptions.cacheStats) {
+            promptOptions.cacheStats.hits++;
+        }
+        return cached;
+    } catch (error) {
+        log('warn', 'Prompt cache lookup failed', { message: error.message });
+        return null;
+    }
+}
+
+// makeApiRequest with the prompt cache in front
+async function cachedApiRequest(prompt, client, model, maxTokens, onDelta, promptOptions) {
+    const cached = await getCachedResponse(prompt, promptOptions);
+    if (cached !== null) {
+        if (onDelta) onDelta(cached);
+        return cached;
+    }
+
+    const response = await makeApiRequest(prompt, client, model, maxTokens, 0, onDelta);
+    if (promptOptions.usage) {
+        promptOptions.usage.requests++;
+        promptOptions.usage.inputTokens += buildMessages(prompt)
+            .reduce((total, message) => total + estimateTokens(message.content), 0);
+        promptOptions.usage.outputTokens += estimateTokens(response);
+    }
+    if (promptOptions.cacheScope) {
+        getPromptCacheKey(prompt, promptOptions)
+            .then(key => HistoryDB.putChunk(key, response))
+            .catch(error => log('warn', 'Prompt cache write failed', { message: error.message }));
+    }
+    return response;
+}
+
+// Instructions before a '\n\nContent:' marker go in the system message and the
+// content in the user message; prompts without the marker are sent as one user message.
+// A ready-made messages array is passed through unchanged.
+function buildMessages(prompt) {
+    if (Array.isArray(prompt)) {
+        return prompt;
+    }
+
+    const markerIndex = prompt.indexOf('\n\nContent:');
+    if (markerIndex < 0) {
+        return [{ role: 'user', content: prompt }];
+    }
+    return [
+        { role: 'system', content: prompt.substring(0, markerIndex).trim() },
+        { role: 'user', content: prompt.substring(markerIndex + 2) }
+    ];
+}
+
+// Make API request
+// When onDelta is given the completion is streamed (SSE) and onDelta receives the text so far
+async function makeApiRequest(prompt, client, model, maxTokens, retryCount = 0, onDelta = null) {
+    const promptLength = Array.isArray(prompt)
+        ? prompt.reduce((total, message) => total + message.content.length, 0)
+        : prompt.length;
+    const stream = typeof onDelta === 'function';
+    log('info', `API Request (${client.type}): ${promptLength} chars, maxTokens=${maxTokens}, retry=${retryCount}, stream=${stream}`);
+
+    // The timeout restarts on every streamed chunk, so only a stalled response is aborted
+    const controller = new AbortController();
+    let timeoutId = setTimeout(() => controller.abort(), 60000);
+    const resetTimeout = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => controller.abort(), 60000);
+    };
+
+    try {
+        const response = await fetch(`${client.baseUrl}/chat/completions`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`,
-                'HTTP-Referer': chrome.runtime.getURL(''),
-                'X-Title': 'Page Summariser Extension'
+                ...client.provider.buildHeaders(client)
             },
             body: JSON.stringify({
                 model: model,
-                messages: [{ role: 'user', content: prompt }],
-                temperature: 0.7,
-                model: model,
-                messages: [
-                    { role: 'system', content: prompt.split('\n\nContent:')[0].trim() },
-                    { role: 'user', content: 'Content:\n' + prompt.split('\n\nContent:')[1] }
-                ],
+                messages: buildMessages(prompt),
                 temperature: 0.7,
-                max_tokens: maxTokens
+                max_tokens: maxTokens,
+                stream: stream
             }),
             signal: controller.signal
         });
 
-        clearTimeout(timeoutId);
+        if (!stream) {
+            clearTimeout(timeoutId);
+        }
         log('info', `Response status: ${response.status}`);
 
         if (!response.ok) {
-            const errorInfo = await handleApiError(response, model);
+            clearTimeout(timeoutId);
+            const errorInfo = await handleApiError(response, model, client);
 
             // Retry once for temporary errors
             if (errorInfo.shouldRetry && retryCount < CONFIG.MAX_RETRIES) {
                 log('info', `Retrying in ${CONFIG.RETRY_BASE_DELAY / 1000}s...`);
                 await delay(CONFIG.RETRY_BASE_DELAY);
-                return await makeApiRequest(prompt, apiKey, model, maxTokens, retryCount + 1);
+                return await makeApiRequest(prompt, client, model, maxTokens, retryCount + 1, onDelta);
             }
 
-            const error = new Error(errorInfo.message);
-            error.isRateLimited = errorInfo.isRateLimited;
-            throw error;
+            throw createApiError(errorInfo);
+        }
+
+        if (stream) {
+            const streamed = await readCompletionStream(response, onDelta, resetTimeout, model, client);
+            clearTimeout(timeoutId);
+
+            if (!streamed.trim()) {
+                throw new Error('Invalid response from API');
+            }
+
+            log('info', `Streamed ${streamed.length} char response`);
+            return streamed.trim();
         }
 
         const data = await response.json();
@@ -513,72 +2193,183 @@ async function makeApiRequest(prompt, apiKey, model, maxTokens, retryCount = 0)
             throw new Error('Request timed out. Please try again.');
         }
         if (error.message.includes('Failed to fetch')) {
-            throw new Error('Network error. Check your connection.');
+            throw new Error(client.type === 'openrouter'
+                ? 'Network error. Check your connection.'
+                : `Could not reach ${client.baseUrl}. Check the server is running and allows requests from the extension.`);
         }
 
         throw error;
     }
 }
 
-// Handle API errors
-async function handleApiError(response, model) {
-    let message = `API error: ${response.status}`;
-    let shouldRetry = false;
-    let isRateLimited = false;
+// Read an SSE completion stream, calling onDelta with the accumulated text after each token batch
+async function readCompletionStream(response, onDelta, onChunk, model, client) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        onChunk();
+        buffer += decoder.decode(value, { stream: true });
+
+        // Keep the trailing partial line in the buffer until the rest arrives
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+
+            // Blank lines separate events; lines starting with ':' are keep-alive comments
+            if (!line.startsWith('data:')) continue;
+
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') {
+                return content;
+            }
+
+            let data;
+            try {
+                data = JSON.parse(payload);
+            } catch {
+                continue;
+            }
+
+            // Errors after the stream has started arrive as an event, not an HTTP
+            // status; the event's code stands in for the status
+            if (data.error) {
+                const status = Number(data.error.code) || 0;
+                log('error', `API Error in stream: ${status}`, payload);
+                const errorInfo = classifyApiError(status, data, model, client);
+                throw createApiError({
+                    ...errorInfo,
+                    message: status ? errorInfo.message : (data.error.message || 'Stream interrupted')
+                });
+            }
+
+            const delta = data.choices?.[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                onDelta(content);
+            }
+        }
+    }
+
+    return content;
+}
+
+// Handle API errors: read the body once, then let the provider interpret it
+async function handleApiError(response, model, client) {
+    // Retry-After is given in seconds
+    const retryAfterHeader = Number(response.headers.get('Retry-After'));
+    const retryAfter = retryAfterHeader > 0 ? retryAfterHeader * 1000 : 0;
 
     log('error', `API Error: ${response.status}`);
 
+    let errorData = {};
     try {
         const errorText = await response.text();
         log('error', 'Error body:', errorText);
 
-        let errorData;
         try {
             errorData = JSON.parse(errorText);
         } catch {
             errorData = { rawText: errorText };
         }
+    } catch (e) {
+        log('error', 'Failed to read error body', e);
+    }
 
-        const rawMessage = errorData.error?.message || '';
-        const metadata = errorData.error?.metadata || {};
+    return { ...classifyApiError(response.status, errorData, model, client), retryAfter };
+}
 
-        if (response.status === 429) {
-            isRateLimited = true;
+// The provider's reading of an error body, with defaults for what it leaves out
+function classifyApiError(status, errorData, model, client) {
+    return {
+        message: `API error: ${status}`,
+        shouldRetry: false,
+        isRateLimited: false,
+        isTemporaryRateLimit: false,
+        retryAfter: 0,
+        ...client.provider.parseError(status, errorData, model, client)
+    };
+}
 
-            // Check for daily limit
-            if (rawMessage.includes('free-models-per-day') ||
-                metadata.headers?.['X-RateLimit-Remaining'] === '0') {
-                message = `Daily limit reached for ${model}`;
-                shouldRetry = false;
-            } else if (rawMessage.includes('temporarily rate-limited')) {
-                message = `${model} temporarily busy`;
-                shouldRetry = true; // Might recover
-            } else {
-                message = 'Rate limit hit';
-                shouldRetry = false; // Assume daily limit, try next model
-            }
-        } else if (response.status === 503 || response.status === 502) {
-            message = 'Server temporarily unavailable';
-            shouldRetry = true;
-        } else if (response.status === 401) {
-            message = 'Invalid API key. Please check your OpenRouter API key.';
-        } else if (response.status === 402) {
-            message = 'Insufficient credits. Add credits to OpenRouter.';
-        } else if (response.status === 400) {
-            if (rawMessage.includes('not a valid model')) {
-                message = `Invalid model: ${model}`;
-            } else {
-                message = rawMessage || 'Bad request';
-            }
-        } else {
-            message = rawMessage || message;
-        }
+// Error carrying the flags the model fallback and the chunk scheduler act on
+function createApiError(errorInfo) {
+    const error = new Error(errorInfo.message);
+    error.isRateLimited = errorInfo.isRateLimited;
+    error.isTemporaryRateLimit = errorInfo.isTemporaryRateLimit;
+    error.retryAfter = errorInfo.retryAfter;
+    return error;
+}
 
-    } catch (e) {
-        log('error', 'Failed to parse error', e);
+// OpenRouter errors: { error: { message, metadata } }, with free-model daily limits on 429
+function parseOpenRouterError(status, errorData, model) {
+    const rawMessage = errorData.error?.message || '';
+    const metadata = errorData.error?.metadata || {};
+
+    if (status === 429) {
+        // Check for daily limit
+        if (rawMessage.includes('free-models-per-day') ||
+            metadata.headers?.['X-RateLimit-Remaining'] === '0') {
+            return { message: `Daily limit reached for ${model}`, isRateLimited: true };
+        }
+        if (rawMessage.includes('temporarily rate-limited')) {
+            // Might recover
+            return { message: `${model} temporarily busy`, isRateLimited: true, shouldRetry: true, isTemporaryRateLimit: true };
+        }
+        // Assume daily limit, try next model
+        return { message: 'Rate limit hit', isRateLimited: true };
+    }
+    if (status === 503 || status === 502) {
+        return { message: 'Server temporarily unavailable', shouldRetry: true };
     }
+    if (status === 401) {
+        return { message: 'Invalid API key. Please check your OpenRouter API key.' };
+    }
+    if (status === 402) {
+        return { message: 'Insufficient credits. Add credits to OpenRouter.' };
+    }
+    if (status === 400) {
+        if (rawMessage.includes('not a valid model')) {
+            return { message: `Invalid model: ${model}` };
+        }
+        return { message: rawMessage || 'Bad request' };
+    }
+    return rawMessage ? { message: rawMessage } : {};
+}
 
-    return { message, shouldRetry, isRateLimited };
+// OpenAI-compatible errors come in several shapes:
+// { error: { message } } (OpenAI, vLLM, llama.cpp), { error: '...' } (Ollama), { detail } (FastAPI gateways)
+function parseOpenAICompatibleError(status, errorData, model, client) {
+    const rawMessage = (typeof errorData.error === 'string' ? errorData.error : errorData.error?.message) ||
+        (typeof errorData.detail === 'string' ? errorData.detail : '') ||
+        errorData.message ||
+        errorData.rawText ||
+        '';
+
+    if (status === 429) {
+        // Self-hosted servers and gateways have no daily quotas to cycle around
+        return { message: `${client.name} is busy (rate limited)`, isRateLimited: true, shouldRetry: true, isTemporaryRateLimit: true };
+    }
+    if (status === 502 || status === 503 || status === 504) {
+        return { message: `${client.name} temporarily unavailable`, shouldRetry: true };
+    }
+    if (status === 401 || status === 403) {
+        return { message: `Authentication failed for ${client.baseUrl}. Check the API key and auth header.` };
+    }
+    if (status === 404) {
+        return {
+            message: /model/i.test(rawMessage)
+                ? `Model not found on ${client.name}: ${model}`
+                : `Endpoint not found: ${client.baseUrl}/chat/completions. Check the base URL (it usually ends in /v1).`
+        };
+    }
+    return rawMessage ? { message: rawMessage.substring(0, 300) } : {};
 }
 
 // Delay utility
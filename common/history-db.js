@@ -0,0 +1,438 @@
+// Summary history stored in IndexedDB, shared by the popup and the service worker.
+// Loaded as a classic script (importScripts / <script>) and exposed as HistoryDB.
+
+const HistoryDB = (() => {
+    'use strict';
+
+    const DB_NAME = 'page-summariser';
+    const DB_VERSION = 3;
+    const STORE = 'summaries';
+    // Search index: one small record per entry with its terms (multiEntry
+    // index) and the fields the history filters use
+    const SEARCH_STORE = 'search';
+    // Cached model output for single prompts (page chunks, combine steps),
+    // keyed by a hash of the model and messages
+    const CHUNK_STORE = 'chunks';
+    const MAX_CACHED_CHUNKS = 2000;
+
+    // Other contexts (popup <-> service worker) are told about changes here
+    const CHANNEL_NAME = 'page-summariser-history';
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+    let dbPromise = null;
+    let migrationPromise = null;
+
+    function open() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE)) {
+                        const store = db.createObjectStore(STORE, { keyPath: 'id' });
+                        store.createIndex('createdAt', 'createdAt');
+                        store.createIndex('hostname', 'hostname');
+                        store.createIndex('url', 'url');
+                    }
+
+                    if (event.oldVersion < 2) {
+                        const search = db.createObjectStore(SEARCH_STORE, { keyPath: 'id' });
+                        search.createIndex('terms', 'terms', { multiEntry: true });
+                        search.createIndex('createdAt', 'createdAt');
+
+                        // Index the entries saved before search existed
+                        request.transaction.objectStore(STORE).openCursor().onsuccess = (e) => {
+                            const cursor = e.target.result;
+                            if (!cursor) return;
+                            search.put(buildSearchRecord(cursor.value));
+                            cursor.continue();
+                        };
+                    }
+
+                    if (event.oldVersion < 3) {
+                        request.transaction.objectStore(STORE).createIndex('contentHash', 'contentHash');
+                        const chunks = db.createObjectStore(CHUNK_STORE, { keyPath: 'key' });
+                        chunks.createIndex('createdAt', 'createdAt');
+                    }
+                };
+
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a newer version (e.g. an updated service worker) upgrade the schema
+                    db.onversionchange = () => {
+                        db.close();
+                        dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+            }).catch((error) => {
+                dbPromise = null;
+                throw error;
+            });
+        }
+        return dbPromise;
+    }
+
+    // Run fn(...stores) in a transaction and resolve with its result once committed.
+    // By default the stores are the entries and their search records.
+    async function withStore(mode, fn, storeNames = [STORE, SEARCH_STORE]) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            Promise.resolve(fn(...storeNames.map(name => tx.objectStore(name)))).then((value) => { result = value; }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Lowercase words without accents. CJK text has no spaces, so each of its
+    // characters is a term of its own.
+    function tokenize(text) {
+        const terms = [];
+        const words = (text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+            .split(/[^\p{L}\p{N}]+/u);
+        for (const word of words) {
+            if (/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/.test(word)) {
+                terms.push(...word);
+            } else if (word.length > 1) {
+                terms.push(word);
+            }
+        }
+        return terms;
+    }
+
+    function buildSearchRecord(entry) {
+        return {
+            id: entry.id,
+            terms: [...new Set(tokenize(`${entry.title} ${entry.url || ''} ${entry.summary}`))],
+            createdAt: entry.createdAt,
+            hostname: entry.hostname || '',
+            model: entry.modelInfo?.id || '',
+            style: entry.style?.name || ''
+        };
+    }
+
+    function notify(type, ids = []) {
+        if (channel) channel.postMessage({ type, ids });
+    }
+
+    // One-time move of the old chrome.storage.local array into IndexedDB
+    function migrate() {
+        if (!migrationPromise) {
+            migrationPromise = (async () => {
+                const { summaryHistory, historyMigrated } = await chrome.storage.local.get(['summaryHistory', 'historyMigrated']);
+                if (historyMigrated) return 0;
+
+                const entries = Array.isArray(summaryHistory) ? summaryHistory.filter(e => e && e.id) : [];
+                if (entries.length > 0) {
+                    await withStore('readwrite', (store, search) => {
+                        entries.forEach((entry) => {
+                            store.put(entry);
+                            search.put(buildSearchRecord(entry));
+                        });
+                    });
+                }
+
+                await chrome.storage.local.set({ historyMigrated: true });
+                await chrome.storage.local.remove('summaryHistory');
+                if (entries.length > 0) notify('changed');
+                return entries.length;
+            })().catch((error) => {
+                migrationPromise = null;
+                throw error;
+            });
+        }
+        return migrationPromise;
+    }
+
+    async function get(id) {
+        await migrate();
+        return withStore('readonly', store => promisify(store.get(id)));
+    }
+
+    async function count() {
+        await migrate();
+        return withStore('readonly', store => promisify(store.count()));
+    }
+
+    // Newest first, skipping `offset` entries
+    async function getPage(offset = 0, limit = 30) {
+        await migrate();
+        return withStore('readonly', store => new Promise((resolve, reject) => {
+            const entries = [];
+            let skipped = offset === 0;
+            const request = store.index('createdAt').openCursor(null, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve(entries);
+                if (!skipped) {
+                    skipped = true;
+                    cursor.advance(offset);
+                    return;
+                }
+                entries.push(cursor.value);
+                if (entries.length >= limit) return resolve(entries);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    async function getAll() {
+        await migrate();
+        const entries = await withStore('readonly', store => promisify(store.index('createdAt').getAll()));
+        return entries.reverse();
+    }
+
+    async function findByUrl(url) {
+        await migrate();
+        const entries = await withStore('readonly', store => promisify(store.index('url').getAll(url)));
+        return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Newest entry summarised from the same content with the same settings
+    async function findByHash(contentHash) {
+        await migrate();
+        const entries = await withStore('readonly', store => promisify(store.index('contentHash').getAll(contentHash)));
+        return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+    }
+
+    async function getChunk(key) {
+        const record = await withStore('readonly', chunks => promisify(chunks.get(key)), [CHUNK_STORE]);
+        return record ? record.summary : null;
+    }
+
+    // Store a chunk summary, dropping the oldest ones past MAX_CACHED_CHUNKS
+    async function putChunk(key, summary) {
+        await withStore('readwrite', async (chunks) => {
+            chunks.put({ key, summary, createdAt: new Date().toISOString() });
+            const total = await promisify(chunks.count());
+            let excess = total - MAX_CACHED_CHUNKS;
+            if (excess <= 0) return;
+
+            const request = chunks.index('createdAt').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || excess-- <= 0) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        }, [CHUNK_STORE]);
+    }
+
+    // A new entry from a summary and its source; saved as is by the popup and
+    // the service worker. Digests have no url (and so no hostname or favicon).
+    function createEntry(data) {
+        const hostname = data.url ? new URL(data.url).hostname : null;
+        const entry = {
+            // Unique even for entries saved in the same millisecond (batch digests)
+            id: crypto.randomUUID(),
+            title: data.title || 'Untitled Page',
+            url: data.url || null,
+            hostname,
+            favicon: hostname ? `https://www.google.com/s2/favicons?domain=${hostname}&sz=32` : null,
+            summary: data.summary,
+            // Page text and Q&A thread for follow-up questions
+            content: data.content || null,
+            chat: [],
+            wordCount: data.wordCount,
+            charCount: data.charCount,
+            sourceElement: data.sourceElement,
+            sourceType: data.sourceType || 'page',
+            modelInfo: data.modelInfo,
+            style: data.style || null,
+            sourceLanguage: data.sourceLanguage || null,
+            outputLanguage: data.outputLanguage || null,
+            contentHash: data.contentHash || null,
+            createdAt: new Date().toISOString()
+        };
+        if (data.sources) {
+            // Digest: the per-tab entries it was built from
+            entry.sources = data.sources;
+        }
+        if (data.pageCount) {
+            // PDF
+            entry.pageCount = data.pageCount;
+        }
+        if (data.articlePages) {
+            // Multi-page article: how many pages were followed
+            entry.articlePages = data.articlePages;
+        }
+        if (data.previousId) {
+            // Change summary: the entry it was compared against and what the diff found
+            entry.previousId = data.previousId;
+            entry.changes = data.changes || null;
+        }
+        return entry;
+    }
+
+    // Insert or replace entries, then apply the retention settings
+    async function putMany(entries) {
+        await migrate();
+        await withStore('readwrite', (store, search) => {
+            entries.forEach((entry) => {
+                store.put(entry);
+                search.put(buildSearchRecord(entry));
+            });
+        });
+        notify('changed', entries.map(entry => entry.id));
+        await applyRetention();
+    }
+
+    function put(entry) {
+        return putMany([entry]);
+    }
+
+    async function remove(id) {
+        await withStore('readwrite', (store, search) => {
+            store.delete(id);
+            search.delete(id);
+        });
+        notify('deleted', [id]);
+    }
+
+    async function clear() {
+        await withStore('readwrite', (store, search, chunks) => {
+            store.clear();
+            search.clear();
+            chunks.clear();
+        }, [STORE, SEARCH_STORE, CHUNK_STORE]);
+        notify('cleared');
+    }
+
+    // Retention from settings: { maxEntries, maxAgeDays }, 0 or missing = no limit.
+    // Deletes the oldest entries over the count and everything past the age.
+    async function applyRetention(retention = null) {
+        if (!retention) {
+            ({ historyRetention: retention } = await chrome.storage.local.get('historyRetention'));
+        }
+        const maxEntries = retention?.maxEntries || 0;
+        const maxAgeDays = retention?.maxAgeDays || 0;
+        if (!maxEntries && !maxAgeDays) return 0;
+
+        const cutoff = maxAgeDays ? new Date(Date.now() - maxAgeDays * 86400000).toISOString() : null;
+
+        const deleted = await withStore('readwrite', (store, search) => new Promise((resolve, reject) => {
+            const ids = [];
+            let seen = 0;
+            const request = store.index('createdAt').openCursor(null, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve(ids);
+                seen++;
+                if ((maxEntries && seen > maxEntries) || (cutoff && cursor.value.createdAt < cutoff)) {
+                    ids.push(cursor.value.id);
+                    search.delete(cursor.value.id);
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        }));
+
+        if (deleted.length > 0) notify('deleted', deleted);
+        return deleted.length;
+    }
+
+    // Search titles, URLs and summaries (word prefixes, all words must match) and
+    // filter by { hostname, from, to (YYYY-MM-DD), model, style }.
+    // Only the small search records are read until the requested page is known.
+    async function search({ query = '', hostname = '', from = '', to = '', model = '', style = '' } = {}, offset = 0, limit = 30) {
+        await migrate();
+        const terms = [...new Set(tokenize(query))];
+
+        return withStore('readonly', async (store, searchStore) => {
+            let records;
+            if (terms.length > 0) {
+                // Ids per term via the terms index, intersected
+                let ids = null;
+                for (const term of terms) {
+                    const range = IDBKeyRange.bound(term, `${term}\uffff`);
+                    const matches = new Set(await promisify(searchStore.index('terms').getAllKeys(range)));
+                    ids = ids ? new Set([...ids].filter(id => matches.has(id))) : matches;
+                    if (ids.size === 0) break;
+                }
+                records = await Promise.all([...ids].map(id => promisify(searchStore.get(id))));
+            } else {
+                const range = from || to
+                    ? IDBKeyRange.bound(from || '', to ? `${to}\uffff` : '\uffff')
+                    : null;
+                records = await promisify(searchStore.index('createdAt').getAll(range));
+            }
+
+            const matching = records
+                .filter(record => record &&
+                    (!hostname || record.hostname === hostname) &&
+                    (!model || record.model === model) &&
+                    (!style || record.style === style) &&
+                    (!from || record.createdAt >= from) &&
+                    (!to || record.createdAt.slice(0, 10) <= to))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+            const page = matching.slice(offset, offset + limit);
+            const entries = await Promise.all(page.map(record => promisify(store.get(record.id))));
+            return { entries: entries.filter(Boolean), total: matching.length, terms };
+        });
+    }
+
+    // Distinct hostnames, models and styles for the filter pickers
+    async function getFacets() {
+        await migrate();
+        const records = await withStore('readonly', (store, searchStore) => promisify(searchStore.getAll()));
+        const distinct = (key) => [...new Set(records.map(record => record[key]).filter(Boolean))].sort();
+        return { hostnames: distinct('hostname'), models: distinct('model'), styles: distinct('style') };
+    }
+
+    // Entry count plus what the extension's storage uses overall
+    async function getUsage() {
+        const entries = await count();
+        let usage = null;
+        let quota = null;
+        if (navigator.storage?.estimate) {
+            ({ usage, quota } = await navigator.storage.estimate());
+        }
+        return { entries, usage, quota };
+    }
+
+    // callback({ type: 'changed' | 'deleted' | 'cleared', ids }) for changes made in other contexts
+    function onChange(callback) {
+        if (!channel) return;
+        channel.addEventListener('message', event => callback(event.data));
+    }
+
+    return {
+        migrate,
+        get,
+        count,
+        getPage,
+        getAll,
+        findByUrl,
+        findByHash,
+        createEntry,
+        getChunk,
+        putChunk,
+        put,
+        putMany,
+        remove,
+        clear,
+        applyRetention,
+        getUsage,
+        search,
+        getFacets,
+        tokenize,
+        onChange
+    };
+})();
@@ -0,0 +1,135 @@
+// Text of a PDF file, page by page, read with the bundled pdf.js (lib/pdfjs,
+// v3.11.174 - the last release with classic, non-module builds). Used by
+// extension pages: the popup, and the offscreen document that reads PDFs for
+// the service worker. pdf.js is loaded on first use and runs in its own worker.
+// CJK fonts without a Unicode map are decoded with the bundled CMaps.
+// Loaded as a classic script (<script>) and exposed as PdfText.
+
+const PdfText = (() => {
+    'use strict';
+
+    const PDFJS_DIR = 'lib/pdfjs/';
+    const MAX_PDF_BYTES = 50 * 1024 * 1024;
+    // A vertical gap this many line heights between lines starts a new paragraph
+    const PARAGRAPH_GAP = 1.8;
+
+    let loading = null;
+
+    function loadScript(path) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = chrome.runtime.getURL(path);
+            script.onload = resolve;
+            script.onerror = () => reject(new Error('Could not load the PDF reader.'));
+            document.head.appendChild(script);
+        });
+    }
+
+    async function loadPdfJs() {
+        if (!globalThis.pdfjsLib) {
+            loading = loading || loadScript(`${PDFJS_DIR}pdf.min.js`);
+            await loading;
+        }
+        const pdfjsLib = globalThis.pdfjsLib;
+        pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL(`${PDFJS_DIR}pdf.worker.min.js`);
+        return pdfjsLib;
+    }
+
+    // One page's text items as lines; a large vertical gap leaves a blank line
+    function joinTextItems(items) {
+        const lines = [];
+        let line = '';
+        let lastY = null;
+        let lastHeight = 0;
+        let lineEnded = false;
+
+        const endLine = (paragraph) => {
+            const text = line.replace(/\s+/g, ' ').trim();
+            if (text) lines.push(text);
+            if (paragraph && lines.length > 0 && lines[lines.length - 1] !== '') lines.push('');
+            line = '';
+        };
+
+        for (const item of items) {
+            // Marked-content boundaries carry no text
+            if (typeof item.str !== 'string') continue;
+
+            const y = item.transform[5];
+            if (lineEnded) {
+                endLine(Math.abs(lastY - y) > (item.height || lastHeight) * PARAGRAPH_GAP);
+            }
+            line += item.str;
+            lastY = y;
+            lastHeight = item.height || lastHeight;
+            lineEnded = item.hasEOL;
+        }
+        endLine(false);
+        return lines.join('\n').trim();
+    }
+
+    function describeError(error) {
+        if (error?.name === 'PasswordException') return 'This PDF is password-protected and cannot be read.';
+        if (error?.name === 'InvalidPDFException') return 'This file is not a valid PDF.';
+        return `Could not read this PDF: ${error?.message || error}`;
+    }
+
+    // { pages: [{ number, text }], pageCount, title } from the file's bytes
+    async function parse(buffer) {
+        const pdfjsLib = await loadPdfJs();
+        const task = pdfjsLib.getDocument({
+            data: new Uint8Array(buffer),
+            cMapUrl: chrome.runtime.getURL(`${PDFJS_DIR}cmaps/`),
+            cMapPacked: true,
+            // Text only: no fonts to install, and no eval under the extension's CSP
+            disableFontFace: true,
+            isEvalSupported: false,
+            verbosity: pdfjsLib.VerbosityLevel.ERRORS
+        });
+
+        let pdf;
+        try {
+            pdf = await task.promise;
+        } catch (error) {
+            await task.destroy();
+            throw new Error(describeError(error));
+        }
+
+        try {
+            const pages = [];
+            for (let number = 1; number <= pdf.numPages; number++) {
+                try {
+                    const page = await pdf.getPage(number);
+                    const content = await page.getTextContent();
+                    pages.push({ number, text: joinTextItems(content.items) });
+                    page.cleanup();
+                } catch (error) {
+                    // A page that cannot be decoded would otherwise just look empty
+                    throw new Error(`Page ${number} of this PDF could not be read: ${error?.message || error}`);
+                }
+            }
+
+            const metadata = await pdf.getMetadata().catch(() => null);
+            return {
+                pages,
+                pageCount: pdf.numPages,
+                title: (metadata?.info?.Title || '').trim()
+            };
+        } finally {
+            await task.destroy();
+        }
+    }
+
+    async function fromUrl(url) {
+        const response = await fetch(url, { credentials: 'include' });
+        if (!response.ok) throw new Error(`Could not download the PDF (HTTP ${response.status}).`);
+
+        const size = Number(response.headers.get('content-length'));
+        if (size > MAX_PDF_BYTES) throw new Error('This PDF is too large to summarise.');
+
+        const buffer = await response.arrayBuffer();
+        if (buffer.byteLength > MAX_PDF_BYTES) throw new Error('This PDF is too large to summarise.');
+        return parse(buffer);
+    }
+
+    return { parse, fromUrl };
+})();
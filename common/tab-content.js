@@ -0,0 +1,183 @@
+// Page content of a browser tab, shared by the popup and the service worker.
+// Loaded as a classic script (importScripts / <script>) and exposed as TabContent.
+//
+// content/content.js is injected into every frame of the tab. The top frame
+// extracts its content and leaves a marker where each same-origin iframe sits;
+// those frames are then asked for their own content, which replaces the
+// markers so the text stays in document order.
+//
+// PDFs open in the browser's viewer, which has no DOM to read: the file itself
+// is downloaded and parsed with PdfText (common/pdf-text.js, loaded first; the
+// service worker has its own PdfText that hands the file to the offscreen document).
+
+const TabContent = (() => {
+    'use strict';
+
+    // Frames inside frames inside frames are followed this deep
+    const MAX_FRAME_DEPTH = 3;
+    const MAX_RETRIES = 3;
+
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    function isConnectionError(error) {
+        return /Could not establish connection|Receiving end does not exist/.test(error.message);
+    }
+
+    async function inject(tabId) {
+        try {
+            await chrome.scripting.executeScript({
+                target: { tabId, allFrames: true },
+                files: ['content/content.js']
+            });
+        } catch (e) {
+            console.log('Content script injection note:', e.message);
+        }
+    }
+
+    // One frame's extraction result; null while its content script is not listening yet.
+    // The top frame waits for the page to settle and follows pagination; embedded
+    // frames are read as they are.
+    async function requestFrame(tabId, frameId) {
+        const message = frameId === 0
+            ? { action: 'extractContent' }
+            : { action: 'extractContent', settle: false, maxPages: 1 };
+        try {
+            return await chrome.tabs.sendMessage(tabId, message, { frameId }) || null;
+        } catch (e) {
+            if (isConnectionError(e)) return null;
+            throw new Error('Failed to communicate with page. Please refresh and try again.');
+        }
+    }
+
+    async function requestTopFrame(tabId) {
+        let response = await requestFrame(tabId, 0);
+
+        // Retry with backoff while a fresh content script starts up
+        for (let i = 0; !response && i < MAX_RETRIES; i++) {
+            await delay(200 * (i + 1));
+            if (i === 0) await inject(tabId);
+            response = await requestFrame(tabId, 0);
+        }
+        if (!response) throw new Error('Failed to connect to page content script.');
+        return response;
+    }
+
+    // Word and character counts and the preview, for content assembled here
+    function describeText(content) {
+        const text = content.trim();
+        return {
+            wordCount: text.split(/\s+/).filter(Boolean).length,
+            charCount: text.length,
+            preview: text.substring(0, 200) + (text.length > 200 ? '...' : '')
+        };
+    }
+
+    // Replace each frame marker in content with that frame's text, noting where it came from
+    async function mergeFrames(tabId, content, frames, depth) {
+        for (const frame of frames || []) {
+            let text = '';
+            if (depth <= MAX_FRAME_DEPTH) {
+                const response = await requestFrame(tabId, frame.frameId).catch(() => null);
+                if (response?.success && response.content?.trim()) {
+                    const inner = await mergeFrames(tabId, response.content, response.frames, depth + 1);
+                    const label = [response.title, response.url].filter(Boolean).join(' - ');
+                    text = `[Frame: ${label}]\n\n${inner}\n\n[End of frame]`;
+                }
+            }
+            content = content.replace(frame.marker, () => text);
+        }
+        return content.replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    // Extract the tab's content: top frame plus the same-origin frames it embeds,
+    // or the text of the PDF it shows
+    async function extract(tabId) {
+        const tab = await chrome.tabs.get(tabId);
+        if (isPdfUrl(tab.url)) return extractPdf(tab.url);
+
+        await inject(tabId);
+        let response;
+        try {
+            response = await requestTopFrame(tabId);
+        } catch (error) {
+            // The PDF viewer may not take content scripts at all
+            if (await isPdfResponse(tab.url)) return extractPdf(tab.url);
+            throw error;
+        }
+
+        if (response.success && response.contentType === 'application/pdf') return extractPdf(response.url);
+        if (!response.success || !response.frames?.length) return response;
+
+        const content = await mergeFrames(tabId, response.content, response.frames, 1);
+        return {
+            ...response,
+            content,
+            ...describeText(content),
+            frameCount: response.frames.length
+        };
+    }
+
+    // ============================================
+    // PDFs
+    // ============================================
+
+    function isPdfUrl(url) {
+        try {
+            return /\.pdf$/i.test(new URL(url).pathname);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // For PDFs served without ".pdf" in the URL
+    async function isPdfResponse(url) {
+        if (!/^(https?|file):/i.test(url || '')) return false;
+        try {
+            const response = await fetch(url, { method: 'HEAD', credentials: 'include' });
+            return /application\/pdf/i.test(response.headers.get('content-type') || '');
+        } catch (e) {
+            return false;
+        }
+    }
+
+    async function detectLanguage(text) {
+        try {
+            const result = await chrome.i18n.detectLanguage(text.substring(0, 5000));
+            const top = result?.languages?.[0];
+            const code = top && top.language !== 'und' && result.isReliable ? top.language.toLowerCase() : null;
+            return { code, htmlLang: null, detectedLang: code };
+        } catch (e) {
+            return { code: null, htmlLang: null, detectedLang: null };
+        }
+    }
+
+    // Extraction result for a parsed PDF (see PdfText.parse). Each page starts
+    // with a "[Page N]" line, which the service worker uses to label chunks.
+    async function fromPdf(pdf, url) {
+        const pages = pdf.pages.filter(page => page.text);
+        if (pages.length === 0) {
+            throw new Error('This PDF has no text to summarise (it may be a scanned document).');
+        }
+
+        const content = pages.map(page => `[Page ${page.number}]\n${page.text}`).join('\n\n');
+        const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+        return {
+            success: true,
+            content,
+            title: pdf.title || fileName || 'Untitled PDF',
+            url,
+            ...describeText(pages.map(page => page.text).join('\n\n')),
+            sourceElement: `pdf (${pdf.pageCount} pages)`,
+            sourceType: 'pdf',
+            pageCount: pdf.pageCount,
+            language: await detectLanguage(content),
+            frames: []
+        };
+    }
+
+    async function extractPdf(url) {
+        return fromPdf(await PdfText.fromUrl(url), url);
+    }
+
+    return { extract, fromPdf };
+})();
@@ -4,17 +4,181 @@
 (function () {
     'use strict';
 
+    // Injected again (e.g. into all frames) while already listening
+    if (globalThis.__pageSummariserContent) return;
+    globalThis.__pageSummariserContent = true;
+
     // Debug logging
     const DEBUG = true;
+
+    // Safety cap on extracted text; chunking in the service worker is sized per model
+    const MAX_CONTENT_CHARS = 500000;
     function log(...args) {
         if (DEBUG) console.log('[PageSummariser]', ...args);
     }
 
-    // Function to extract main content from page
-    function extractMainContent() {
+    // Class/id hints for content scoring, after Mozilla's Readability
+    const POSITIVE_HINTS = /article|body|content|entry|hentry|h-entry|main|page|post|story|text|blog|recipe|listicle|gallery|slideshow/i;
+    const NEGATIVE_HINTS = /\bad\b|ad-|-ad\b|banner|breadcrumb|combx|comment|contact|cookie|footer|footnote|masthead|menu|modal|nav|newsletter|outbrain|popup|promo|related|share|sidebar|skyscraper|social|sponsor|subscribe|taboola|widget/i;
+    // Never the article itself; text inside these does not count
+    const SKIPPED_CONTAINERS = 'nav, footer, aside, form, noscript, [role="navigation"], [role="complementary"]';
+    // Base score by tag: generic containers are likelier article roots than lists or headings
+    const TAG_SCORES = {
+        ARTICLE: 10, MAIN: 10, SECTION: 5, DIV: 5,
+        PRE: 3, TD: 3, BLOCKQUOTE: 3,
+        ADDRESS: -3, DL: -3, FORM: -3, OL: -3, UL: -3, LI: -3,
+        H1: -5, H2: -5, H3: -5, H4: -5, H5: -5, H6: -5, TH: -5
+    };
+    const MIN_SCORED_TEXT = 25;     // Shorter blocks (captions, buttons) add nothing
+    const SELECTOR_BONUS = 20;      // For matching one of the known content selectors
+    const MAX_FRAME_POINTS = 25;    // Cap on a same-origin frame's points (one per 100 chars)
+
+    function getClassWeight(element) {
+        let weight = 0;
+        for (const hint of [element.className, element.id]) {
+            if (typeof hint !== 'string' || !hint) continue;
+            if (NEGATIVE_HINTS.test(hint)) weight -= 25;
+            if (POSITIVE_HINTS.test(hint)) weight += 25;
+        }
+        return weight;
+    }
+
+    // Share of an element's text that is link text
+    function getLinkDensity(element) {
+        const textLength = element.textContent.replace(/\s+/g, ' ').trim().length;
+        if (textLength === 0) return 0;
+
+        let linkLength = 0;
+        element.querySelectorAll('a').forEach(link => {
+            linkLength += link.textContent.replace(/\s+/g, ' ').trim().length;
+        });
+        return Math.min(1, linkLength / textLength);
+    }
+
+    // Short CSS-like label for logs and sourceElement, e.g. div#story.article-body
+    function describeElement(element) {
+        let label = element.tagName.toLowerCase();
+        if (element.id) label += `#${element.id}`;
+        if (typeof element.className === 'string') {
+            element.className.trim().split(/\s+/).filter(Boolean).slice(0, 2)
+                .forEach(name => { label += `.${name}`; });
+        }
+        return label;
+    }
+
+    // Most specific of the user's per-site rules for a host (from the options page):
+    // a rule for "example.com" also covers "www.example.com" and "docs.example.com"
+    function findSiteRule(rules, hostname) {
+        return (rules || [])
+            .filter(rule => rule.hostname && (hostname === rule.hostname || hostname.endsWith(`.${rule.hostname}`)))
+            .sort((a, b) => b.hostname.length - a.hostname.length)[0] || null;
+    }
+
+    // ============================================
+    // Shadow roots and frames
+    // ============================================
+
+    // Parent element, stepping out of an open shadow root to its host
+    function composedParent(element) {
+        return element.parentElement || element.parentNode?.host || null;
+    }
+
+    // querySelectorAll that also searches open shadow roots, in document order
+    function queryAllDeep(root, selector) {
+        const results = [];
+        const walk = (scope) => {
+            const walker = (scope.ownerDocument || scope).createTreeWalker(scope, NodeFilter.SHOW_ELEMENT);
+            for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+                if (node.matches(selector)) results.push(node);
+                if (node.shadowRoot) walk(node.shadowRoot);
+            }
+        };
+        walk(root);
+        return results;
+    }
+
+    // querySelectorAll (shadow roots included) that treats a bad user-entered
+    // selector as matching nothing
+    function queryAll(root, selector) {
+        try {
+            return queryAllDeep(root, selector);
+        } catch (e) {
+            log(`Invalid selector skipped: ${selector}`);
+            return [];
+        }
+    }
+
+    // Document of a same-origin frame; null for cross-origin or unloaded frames
+    function getFrameDocument(frame) {
+        try {
+            return frame.contentDocument?.body ? frame.contentDocument : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Deep clone in rendered order: an open shadow root's tree replaces its host's
+    // children, each <slot> filled with the light DOM nodes assigned to it.
+    // Same-origin frames become placeholders that TabContent (common/tab-content.js)
+    // fills with the frame's own extraction.
+    function cloneComposed(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return node.cloneNode(true);
+
+        if ((node.tagName === 'IFRAME' || node.tagName === 'FRAME') && getFrameDocument(node) && chrome.runtime?.getFrameId) {
+            const frameId = chrome.runtime.getFrameId(node);
+            if (frameId > 0) {
+                const placeholder = node.ownerDocument.createElement('div');
+                placeholder.setAttribute('data-page-summariser-frame', frameId);
+                placeholder.setAttribute('data-src', node.src || '');
+                return placeholder;
+            }
+        }
+
+        const copy = node.cloneNode(false);
+        const append = (child) => {
+            if (child.nodeType === Node.ELEMENT_NODE && child.tagName === 'SLOT') {
+                child.assignedNodes({ flatten: true }).forEach(append);
+            } else {
+                copy.appendChild(cloneComposed(child));
+            }
+        };
+        (node.shadowRoot || node).childNodes.forEach(append);
+        return copy;
+    }
+
+    // Elements for the first of a rule's include selectors that matches,
+    // leaving out matches nested inside other matches
+    function findIncludedElements(doc, rule) {
+        for (const selector of rule.include || []) {
+            const matches = queryAll(doc, selector);
+            if (matches.length > 0) {
+                return {
+                    elements: matches.filter(el => !matches.some(other => other !== el && other.contains(el))),
+                    selector
+                };
+            }
+        }
+        return null;
+    }
+
+    // Function to extract main content from page: a site rule's include selectors
+    // if one matches, otherwise rank the containers of paragraph-like blocks by
+    // text, commas, link density and class/id hints
+    function extractMainContent(doc = document, rule = null) {
         log('=== EXTRACTING MAIN CONTENT ===');
 
-        // Priority selectors for main content
+        const included = rule ? findIncludedElements(doc, rule) : null;
+        if (included) {
+            log(`Site rule for ${rule.hostname}: ${included.elements.length} element(s) matching ${included.selector}`);
+            return {
+                elements: included.elements,
+                selector: `site rule ${rule.hostname}: ${included.selector}` +
+                    (included.elements.length > 1 ? ` (${included.elements.length} elements)` : ''),
+                score: null
+            };
+        }
+
+        // Known content containers - a bonus when scoring, not a decision
         const contentSelectors = [
             'article',
             'main',
@@ -38,35 +202,369 @@
             '.list-content'
         ];
 
-        let mainContent = null;
-        let usedSelector = null;
-
-        // Try to find main content using priority selectors
-        for (const selector of contentSelectors) {
-            const element = document.querySelector(selector);
-            if (element) {
-                mainContent = element;
-                usedSelector = selector;
-                log(`Found main content with selector: ${selector}`);
-                log(`Element tag: ${element.tagName}, classes: ${element.className}`);
-                break;
+        const root = doc.body || doc.documentElement;
+        const scores = new Map();
+        const matchedSelectors = new Map();
+        // Ancestors already checked for negative hints (element -> unlikely)
+        const unlikely = new Map();
+
+        const isUnlikely = (element) => {
+            if (!unlikely.has(element)) {
+                const hint = `${typeof element.className === 'string' ? element.className : ''} ${element.id}`;
+                const own = NEGATIVE_HINTS.test(hint) && !POSITIVE_HINTS.test(hint);
+                const parent = composedParent(element);
+                unlikely.set(element, own || (parent && parent !== root ? isUnlikely(parent) : false));
+            }
+            return unlikely.get(element);
+        };
+
+        const initialScore = (element) => {
+            const selector = contentSelectors.find(candidate => element.matches(candidate));
+            if (selector) matchedSelectors.set(element, selector);
+            return (TAG_SCORES[element.tagName] || 0) + getClassWeight(element) + (selector ? SELECTOR_BONUS : 0);
+        };
+
+        queryAllDeep(root, 'p, pre, td, blockquote, li, iframe, frame').forEach(node => {
+            if (node.closest(SKIPPED_CONTAINERS) || isUnlikely(node)) return;
+
+            let points;
+            if (node.tagName === 'IFRAME' || node.tagName === 'FRAME') {
+                // A same-origin frame scores as one block sized by its text
+                const frameText = getFrameDocument(node)?.body.textContent.replace(/\s+/g, ' ').trim() || '';
+                if (frameText.length < MIN_SCORED_TEXT) return;
+                points = 1 + Math.min(Math.floor(frameText.length / 100), MAX_FRAME_POINTS);
+            } else {
+                // Let the paragraphs inside list items and cells score instead
+                if (node.tagName !== 'P' && node.querySelector('p, pre, td')) return;
+
+                const text = node.textContent.replace(/\s+/g, ' ').trim();
+                if (text.length < MIN_SCORED_TEXT) return;
+
+                // One point per block, one per comma, one per 100 chars (up to 3)
+                points = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+            }
+
+            // Parent gets it all, grandparent half, great-grandparent a third
+            let ancestor = composedParent(node);
+            for (let level = 0; ancestor && level < 3; level++) {
+                if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+                scores.set(ancestor, scores.get(ancestor) + points / (level + 1));
+                if (ancestor === root) break;
+                ancestor = composedParent(ancestor);
+            }
+        });
+
+        const ranked = Array.from(scores, ([element, score]) => ({
+            element,
+            score: score * (1 - getLinkDensity(element))
+        })).sort((a, b) => b.score - a.score);
+
+        if (ranked.length === 0) {
+            log('No scored content, using body as fallback');
+            return { elements: [root], selector: 'body (fallback)', score: 0 };
+        }
+
+        ranked.slice(0, 5).forEach(({ element, score }) => {
+            log(`Candidate ${describeElement(element)}: ${score.toFixed(1)}`);
+        });
+
+        // An article split over sibling blocks: prefer the container holding several close runners-up
+        let best = ranked[0];
+        const close = ranked.slice(1, 5).filter(candidate => candidate.score >= best.score * 0.75);
+        if (close.length >= 2) {
+            for (let container = composedParent(best.element); container && container !== root; container = composedParent(container)) {
+                if (close.filter(candidate => container.contains(candidate.element)).length >= 2) {
+                    best = ranked.find(candidate => candidate.element === container) || { element: container, score: best.score };
+                    break;
+                }
+            }
+        }
+
+        const matched = matchedSelectors.get(best.element);
+        const description = `${describeElement(best.element)} (score ${best.score.toFixed(1)}${matched ? `, matches ${matched}` : ''})`;
+        log(`Main content: ${description}`);
+
+        return { elements: [best.element], selector: description, score: best.score };
+    }
+
+    // ============================================
+    // Structured text
+    // ============================================
+    // The content is written as Markdown-like text so structure survives into
+    // the prompt: headings, bullet and numbered lists, Markdown tables, fenced
+    // code with its language, definition lists, image alt text and captions,
+    // and the URLs of links to other sites.
+
+    // Elements that start a new block; everything else is inline text
+    const BLOCK_TAGS = new Set([
+        'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIELDSET',
+        'FIGCAPTION', 'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI',
+        'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH',
+        'THEAD', 'TR', 'UL'
+    ]);
+    const BLOCK_SELECTOR = Array.from(BLOCK_TAGS).join(',').toLowerCase();
+    // Never text worth summarising
+    const IGNORED_TAGS = new Set([
+        'BUTTON', 'CANVAS', 'INPUT', 'NOSCRIPT', 'OPTION', 'SCRIPT', 'SELECT', 'STYLE', 'SVG',
+        'TEMPLATE', 'TEXTAREA', 'VIDEO', 'AUDIO'
+    ]);
+
+    // Cookie banners, share prompts and footers that slip through the selectors
+    function isNoise(text) {
+        const lower = text.toLowerCase();
+        return lower.includes('cookie') && lower.length < 100 ||
+            lower.includes('subscribe to') ||
+            lower.includes('all rights reserved') ||
+            lower.includes('follow us on') ||
+            lower.includes('share this');
+    }
+
+    // "www.example.com" and "example.com" are the same site
+    function siteHost(hostname) {
+        return hostname.replace(/^www\./, '');
+    }
+
+    // Collapse runs of spaces but keep line breaks from <br>
+    function collapseInline(text) {
+        return text
+            .replace(/[^\S\n]+/g, ' ')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    // Link URLs are kept only for other sites: for a page's own links they
+    // mostly add tokens, while external ones (sources, tools in a list) matter
+    function getLinkUrl(link, context) {
+        const href = link.getAttribute('href');
+        if (!href || href.startsWith('#') || !context.pageHost) return null;
+
+        try {
+            const url = new URL(href, context.baseUrl);
+            if (!/^https?:$/.test(url.protocol) || siteHost(url.hostname) === context.pageHost) return null;
+            return url.href;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Alt text worth keeping: not empty and not a file name
+    function getImageText(img) {
+        const alt = (img.getAttribute('alt') || img.getAttribute('title') || '').replace(/\s+/g, ' ').trim();
+        if (alt.length < 3 || /\.(png|jpe?g|gif|svg|webp|avif)$/i.test(alt)) return '';
+        return alt;
+    }
+
+    function renderInline(element, context) {
+        return collapseInline(renderInlineNodes(element.childNodes, context));
+    }
+
+    // Text of inline content: links as [text](url), inline code in backticks, images as [Image: alt]
+    function renderInlineNodes(nodes, context) {
+        let out = '';
+        for (const node of nodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                out += node.nodeValue;
+                continue;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE || IGNORED_TAGS.has(node.tagName)) continue;
+
+            const tag = node.tagName;
+            if (tag === 'BR') {
+                out += '\n';
+            } else if (tag === 'IMG') {
+                const alt = getImageText(node);
+                if (alt) out += ` [Image: ${alt}] `;
+            } else if (tag === 'CODE' || tag === 'KBD' || tag === 'SAMP') {
+                const code = node.textContent.replace(/\s+/g, ' ').trim();
+                if (code) out += `\`${code}\``;
+            } else if (tag === 'A') {
+                const text = renderInline(node, context).replace(/\n/g, ' ');
+                const url = !context.noLinks && node.textContent.trim() ? getLinkUrl(node, context) : null;
+                out += url && text !== url ? `[${text}](${url})` : text;
+            } else if (BLOCK_TAGS.has(tag)) {
+                // Blocks flattened into one line (e.g. paragraphs in a list item)
+                out += ` ${renderInlineNodes(node.childNodes, context)} `;
+            } else {
+                out += renderInlineNodes(node.childNodes, context);
             }
         }
+        return out;
+    }
+
+    // Add a text block unless it is too short, noise or a repeat of the previous block
+    function pushText(blocks, text, context) {
+        if (text.length < context.minBlockLength || isNoise(text)) return;
+        if (blocks.length > 0 && blocks[blocks.length - 1] === text) return;
+        blocks.push(text);
+    }
+
+    // Render an element's children as blocks; loose text between blocks becomes paragraphs
+    function renderBlocks(element, context, blocks) {
+        let inline = [];
+        const flushInline = () => {
+            if (inline.length > 0) {
+                pushText(blocks, collapseInline(renderInlineNodes(inline, context)), context);
+                inline = [];
+            }
+        };
 
-        // Fallback to body if no main content found
-        if (!mainContent) {
-            mainContent = document.body;
-            usedSelector = 'body (fallback)';
-            log('No main content found, using body as fallback');
+        for (const node of element.childNodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                inline.push(node);
+                continue;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE || IGNORED_TAGS.has(node.tagName)) continue;
+
+            // Inline elements stay in the paragraph unless they wrap blocks (e.g. a card link)
+            if (!BLOCK_TAGS.has(node.tagName) && !node.querySelector(BLOCK_SELECTOR)) {
+                if (node.tagName === 'IMG' && inline.every(n => !n.nodeValue?.trim())) {
+                    // An image on its own line
+                    flushInline();
+                    const alt = getImageText(node);
+                    if (alt) blocks.push(`[Image: ${alt}]`);
+                } else {
+                    inline.push(node);
+                }
+                continue;
+            }
+
+            flushInline();
+            renderBlock(node, context, blocks);
         }
+        flushInline();
+    }
+
+    function renderBlock(node, context, blocks) {
+        const tag = node.tagName;
+        const frameId = node.getAttribute('data-page-summariser-frame');
 
-        return { element: mainContent, selector: usedSelector };
+        if (frameId) {
+            // Same-origin frame (see cloneComposed)
+            const marker = `[[frame:${frameId}]]`;
+            context.frames.push({ frameId: Number(frameId), marker, src: node.getAttribute('data-src') });
+            blocks.push(marker);
+        } else if (/^H[1-6]$/.test(tag)) {
+            const text = renderInline(node, { ...context, noLinks: true }).replace(/\n/g, ' ');
+            if (text) pushText(blocks, `${'#'.repeat(Number(tag[1]))} ${text}`, context);
+        } else if (tag === 'P' || tag === 'SUMMARY' || tag === 'ADDRESS') {
+            pushText(blocks, renderInline(node, context), context);
+        } else if (tag === 'UL' || tag === 'OL') {
+            const lines = renderList(node, context, 0);
+            if (lines.length > 0) blocks.push(lines.join('\n'));
+        } else if (tag === 'LI') {
+            // A list item outside a list
+            pushText(blocks, `• ${renderInline(node, context).replace(/\n/g, ' ')}`, context);
+        } else if (tag === 'PRE') {
+            renderCodeBlock(node, blocks);
+        } else if (tag === 'TABLE') {
+            renderTable(node, context, blocks);
+        } else if (tag === 'DL') {
+            renderDefinitionList(node, context, blocks);
+        } else if (tag === 'BLOCKQUOTE') {
+            const quoted = [];
+            renderBlocks(node, context, quoted);
+            if (quoted.length > 0) {
+                blocks.push(quoted.join('\n\n').split('\n').map(line => `> ${line}`).join('\n'));
+            }
+        } else if (tag === 'FIGCAPTION') {
+            const caption = renderInline(node, context).replace(/\n/g, ' ');
+            if (caption) blocks.push(`Caption: ${caption}`);
+        } else if (tag !== 'HR') {
+            // Containers: div, section, figure, table parts of layout tables...
+            renderBlocks(node, context, blocks);
+        }
     }
 
-    // Function to clean and extract text while preserving structure
-    function extractText(element) {
-        // Clone the element to avoid modifying the original
-        const clone = element.cloneNode(true);
+    // Bullet (•) or numbered lines, nested lists indented under their item
+    function renderList(list, context, depth) {
+        const lines = [];
+        let number = parseInt(list.getAttribute('start'), 10) || 1;
+
+        for (const item of list.children) {
+            if (item.tagName !== 'LI') continue;
+
+            const nested = Array.from(item.children).filter(child => child.tagName === 'UL' || child.tagName === 'OL');
+            const own = Array.from(item.childNodes).filter(child => !nested.includes(child));
+            const text = collapseInline(renderInlineNodes(own, context)).replace(/\n/g, ' ');
+            const marker = list.tagName === 'OL' ? `${number++}.` : '•';
+
+            if (text.length >= context.minBlockLength && !isNoise(text)) {
+                lines.push(`${'  '.repeat(depth)}${marker} ${text}`);
+            }
+            nested.forEach(sublist => lines.push(...renderList(sublist, context, depth + 1)));
+        }
+        return lines;
+    }
+
+    // Language from class="language-js", "lang-py", GitHub's "highlight-source-go" or data-lang
+    function getCodeLanguage(element) {
+        const attribute = element.getAttribute('data-lang') || element.getAttribute('data-language');
+        if (attribute) return attribute.trim();
+
+        const match = (typeof element.className === 'string' ? element.className : '')
+            .match(/(?:^|\s)(?:language|lang|highlight-source)-([\w+#.-]+)/i);
+        return match ? match[1] : '';
+    }
+
+    // Fenced code block; the text is kept exactly, indentation included
+    function renderCodeBlock(pre, blocks) {
+        const code = pre.querySelector('code');
+        const language = getCodeLanguage(pre) || (code ? getCodeLanguage(code) : '');
+        const text = pre.textContent.replace(/^\n+|\s+$/g, '');
+        if (!text) return;
+
+        const fence = text.includes('```') ? '~~~' : '```';
+        blocks.push(`${fence}${language}\n${text}\n${fence}`);
+    }
+
+    // Data tables as Markdown tables (first row as header). Tables used for
+    // layout - one column, one row or tables inside tables - are read as containers.
+    function renderTable(table, context, blocks) {
+        const rows = Array.from(table.querySelectorAll(':scope > tr, :scope > thead > tr, :scope > tbody > tr, :scope > tfoot > tr'));
+        const cells = rows.map(row => Array.from(row.children).filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH'));
+        const columns = Math.max(0, ...cells.map(row => row.reduce((sum, cell) => sum + (parseInt(cell.getAttribute('colspan'), 10) || 1), 0)));
+
+        if (rows.length < 2 || columns < 2 || table.querySelector('table')) {
+            renderBlocks(table, context, blocks);
+            return;
+        }
+
+        const lines = cells.map(row => {
+            const values = [];
+            row.forEach(cell => {
+                values.push(renderInline(cell, context).replace(/\n/g, ' ').replace(/\|/g, '\\|'));
+                // Spanned columns stay empty so the columns line up
+                for (let span = parseInt(cell.getAttribute('colspan'), 10) || 1; span > 1; span--) values.push('');
+            });
+            while (values.length < columns) values.push('');
+            return `| ${values.join(' | ')} |`;
+        });
+        lines.splice(1, 0, `|${' --- |'.repeat(columns)}`);
+
+        const caption = table.querySelector(':scope > caption');
+        const title = caption ? renderInline(caption, context).replace(/\n/g, ' ') : '';
+        blocks.push((title ? `Table: ${title}\n` : '') + lines.join('\n'));
+    }
+
+    // Term on its own line, each definition after ": " (Markdown definition list syntax)
+    function renderDefinitionList(dl, context, blocks) {
+        const lines = [];
+        dl.querySelectorAll(':scope > dt, :scope > dd, :scope > div > dt, :scope > div > dd').forEach(item => {
+            const text = renderInline(item, context).replace(/\n/g, ' ');
+            if (text) lines.push(item.tagName === 'DT' ? text : `: ${text}`);
+        });
+        if (lines.length > 0) blocks.push(lines.join('\n'));
+    }
+
+    // Function to clean and extract text while preserving structure.
+    // exclude: extra selectors to remove; minBlockLength: shortest block kept (site rules);
+    // baseUrl: the page's URL, for resolving links; frames: collects the markers
+    // left for same-origin frames ({ frameId, marker, src })
+    function extractText(element, { exclude = [], minBlockLength = 10, baseUrl = null, frames = [] } = {}) {
+        // Clone the element to avoid modifying the original, shadow roots included
+        const clone = cloneComposed(element);
 
         // Comprehensive list of unwanted elements (ads, navigation, etc.)
         // NOTE: Avoid overly broad patterns like [class*="ad"] which matches "heading", "loading", etc.
@@ -141,7 +639,7 @@
             '.trending-now',
             '[class*="most-viewed"]',
             '[class*="sidebar"]'
-        ];
+        ].concat(exclude);
 
         // Remove unwanted elements
         log('=== REMOVING UNWANTED ELEMENTS ===');
@@ -187,106 +685,25 @@
             }
         });
 
-        // Extract text while preserving list structure
-        // Linear traversal strategy: walk important block elements in order
-        const textContent = [];
-
+        // Render the cleaned content as Markdown-like blocks, in document order.
+        // Wrapped so a rule that selects a table or list itself renders as one.
         log('=== LOOKING FOR CONTENT ===');
         log(`Clone element: ${clone.tagName}, children: ${clone.children.length}`);
 
-        // Select all meaningful block elements
-        // We select them in document order
-        const blockSelectors = [
-            'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-            'p',
-            'li',
-            'blockquote',
-            'pre',
-            'figcaption'
-        ];
-
-        const contentNodes = clone.querySelectorAll(blockSelectors.join(','));
-        log(`Found ${contentNodes.length} content nodes`);
-
-        let skippedCount = 0;
-        let addedCount = 0;
-
-        contentNodes.forEach((node, idx) => {
-            // Skip nodes that are inside other nodes we already processed?
-            // querySelectorAll returns all descendants.
-            // If we process a <p>, we want it. If we process a <li> that contains a <p>, we might get duplicate text if we aren't careful.
-            // But usually <li> contains text directly or inline elements.
-            // A <p> inside a <p> is invalid.
-            // A <p> inside a <li> is valid. 
-            // If we verify the node has text content and isn't just a container for other blocks we already grabbed, we are good.
-            // Simple heuristic based on text content is usually fine for summarization.
-
-            const text = node.textContent.trim();
-
-            // Filter short/empty content
-            if (text.length < 10) {
-                skippedCount++;
-                return;
-            }
-
-            // Exclude noise patterns
-            const lower = text.toLowerCase();
-            if (lower.includes('cookie') && lower.length < 100 ||
-                lower.includes('subscribe to') ||
-                lower.includes('all rights reserved') ||
-                lower.includes('follow us on') ||
-                lower.includes('share this')) {
-                skippedCount++;
-                return;
-            }
-
-            // formatting
-            let formattedText = text;
+        const wrapper = clone.ownerDocument.createElement('div');
+        wrapper.appendChild(clone);
 
-            // Format headings
-            if (node.tagName.match(/^H\d$/)) {
-                formattedText = `\n## ${text}\n`;
-            }
-            // Format list items
-            else if (node.tagName === 'LI') {
-                formattedText = `• ${text}`;
-            }
-            // Format quotes
-            else if (node.tagName === 'BLOCKQUOTE') {
-                formattedText = `> ${text}`;
-            }
-
-            // Avoid adding identical text if it was just added (deduplication)
-            // This helps if <li> contains <p> and we select both. 
-            // The querySelectorAll sequence is document order (depth-first usually).
-            // Parent comes before child? No, actually traversal order.
-            // If we have <ul><li><p>text</p></li></ul>:
-            // Matches: LI, P.
-            // Order: LI comes first in generic traversal, then P inside it?
-
-            // Actually, simply checking if the text is contained in the *immediately preceding* item is often enough
-            // But we need to be careful.
-            // Safer to check if the current node contains other selected nodes, but that's expensive.
-
-            // Alternative: use NodeIterator or TreeWalker.
-            // Or keep it simple: if we added "Text X" and now we see "Text X" again, skip.
-
-            if (textContent.length > 0) {
-                const lastItem = textContent[textContent.length - 1].trim();
-                // Check if strict duplicate
-                if (lastItem === formattedText.trim()) return;
-
-                // Check if one contains the other (nested case)
-                if (lastItem.includes(formattedText.trim()) && formattedText.length > 20) return; // Child text already inside parent
-                // Note: If parent text was added, it likely includes child text.
-            }
-
-            textContent.push(formattedText);
-            addedCount++;
-        });
+        const textContent = [];
+        renderBlocks(wrapper, {
+            minBlockLength,
+            baseUrl,
+            pageHost: baseUrl ? siteHost(new URL(baseUrl).hostname) : null,
+            frames
+        }, textContent);
+        log(`Rendered ${textContent.length} blocks`);
 
-        // Fallback: If structured blocks yielded nothing (e.g. text nodes directly in DIVs), try raw text
-        if (addedCount === 0) {
+        // Fallback: If rendering yielded nothing, try raw text
+        if (textContent.length === 0) {
             log('=== FALLBACK: RAW TEXT EXTRACTION ===');
             const remainingText = clone.innerText || clone.textContent || '';
             const paragraphs = remainingText
@@ -308,17 +725,49 @@
             log('WARNING: No content extracted!');
         }
 
-        // Limit total content to prevent issues (max 12000 chars)
-        if (finalText.length > 12000) {
-            return finalText.substring(0, 12000) + '\n\n[Content truncated - 12,000 char limit]';
+        // Limit total content to prevent issues with pathological pages
+        if (finalText.length > MAX_CONTENT_CHARS) {
+            return finalText.substring(0, MAX_CONTENT_CHARS) +
+                `\n\n[Content truncated - ${MAX_CONTENT_CHARS.toLocaleString()} char limit]`;
         }
 
         return finalText;
     }
 
     // Function to get page title
-    function getPageTitle() {
-        return document.title || 'Untitled Page';
+    function getPageTitle(doc = document) {
+        return doc.title || 'Untitled Page';
+    }
+
+    // Detect the page language from <html lang> and the extracted text itself.
+    // The text wins when the browser's detector is confident, since many sites
+    // leave a template default like lang="en" on translated pages.
+    async function detectLanguage(text, doc = document) {
+        const htmlLang = (doc.documentElement.lang || '').trim().toLowerCase() || null;
+        let detectedLang = null;
+
+        try {
+            if (chrome.i18n?.detectLanguage && text) {
+                const result = await chrome.i18n.detectLanguage(text.substring(0, 5000));
+                const top = result?.languages?.[0];
+                if (top && top.language !== 'und' && result.isReliable) {
+                    detectedLang = top.language.toLowerCase();
+                }
+            }
+        } catch (e) {
+            log('Language detection failed:', e.message);
+        }
+
+        // Compare base languages: 'en-US' and 'en' agree
+        const base = (code) => code?.split(/[-_]/)[0];
+        const code = detectedLang || htmlLang;
+        log(`Language: html=${htmlLang}, detected=${detectedLang}`);
+
+        return {
+            code: code ? (base(htmlLang) === base(detectedLang) ? htmlLang : code) : null,
+            htmlLang,
+            detectedLang
+        };
     }
 
     // Function to count words
@@ -337,36 +786,272 @@
         return preview + (text.length > 200 ? '...' : '');
     }
 
-    // Listen for messages from popup
-    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-        if (request.action === 'extractContent') {
+    // Extract the main content of a document. Works on the live page and on
+    // documents parsed from fetched HTML (see offscreen/offscreen.js).
+    // rules: the user's per-site extraction rules (storage key extractionRules)
+    async function extractPage(doc, url, rules = []) {
+        const rule = findSiteRule(rules, new URL(url).hostname);
+        const { elements, selector: usedSelector } = extractMainContent(doc, rule);
+        const textOptions = {
+            exclude: rule?.exclude || [],
+            minBlockLength: rule?.minBlockLength || 10,
+            baseUrl: url,
+            frames: []
+        };
+        const text = elements.map(element => extractText(element, textOptions)).filter(Boolean).join('\n\n');
+
+        return {
+            success: true,
+            content: text,
+            title: getPageTitle(doc),
+            url: url,
+            wordCount: countWords(text),
+            charCount: countCharacters(text),
+            preview: getContentPreview(text),
+            sourceElement: usedSelector,
+            language: await detectLanguage(text, doc),
+            // "application/pdf" in the browser's PDF viewer, whose text TabContent reads from the file
+            contentType: doc.contentType,
+            // Same-origin frames whose markers in content TabContent replaces
+            frames: textOptions.frames
+        };
+    }
+
+    // ============================================
+    // Multi-page articles
+    // ============================================
+
+    // Default for the maxArticlePages setting (pagination is opt-in), and its ceiling
+    const DEFAULT_MAX_PAGES = 1;
+    const MAX_PAGES_LIMIT = 20;
+    const PAGE_FETCH_TIMEOUT = 15000;
+    // Where "next" links live when the page has no rel="next"
+    const PAGINATION_SELECTOR = '.pagination, .pager, .paging, .page-numbers, .page-links, .pagenav, ' +
+        '[class*="pagination"], nav[aria-label*="pag" i], [role="navigation"][aria-label*="pag" i]';
+    // Link text of a next-page link: "Next", "Next page ›", "Older posts", "»"
+    const NEXT_TEXT = /^(?:next(?: page)?|continue|older(?: posts| entries)?)\s*[›»→>]*$|^[›»→>]{1,2}$/i;
+
+    // Blog indexes, search results and forum listings also have "next" links,
+    // but their next page holds other posts, not the rest of this one
+    function isListingPage(doc) {
+        return doc.querySelectorAll('article, .hentry, .h-entry').length >= 3;
+    }
+
+    function normalizeUrl(url) {
+        return url.split('#')[0].replace(/\/$/, '');
+    }
+
+    // URL of the page after this one on the same site, or null
+    function findNextPageUrl(doc, url) {
+        const current = new URL(url);
+        const candidates = [];
+
+        doc.querySelectorAll('link[rel~="next" i][href], a[rel~="next" i][href]')
+            .forEach(link => candidates.push(link.getAttribute('href')));
+        doc.querySelectorAll(PAGINATION_SELECTOR).forEach(container => {
+            container.querySelectorAll('a[href]').forEach(link => {
+                const text = link.textContent.replace(/\s+/g, ' ').trim();
+                const label = link.getAttribute('aria-label') || link.getAttribute('title') || '';
+                if (NEXT_TEXT.test(text) || /^next\b/i.test(label) || /(?:^|[\s_-])next(?:$|[\s_-])/i.test(link.className)) {
+                    candidates.push(link.getAttribute('href'));
+                }
+            });
+        });
+
+        for (const href of candidates) {
             try {
-                const { element: mainContent, selector: usedSelector } = extractMainContent();
-                const text = extractText(mainContent);
-                const title = getPageTitle();
-                const url = window.location.href;
-                const wordCount = countWords(text);
-                const charCount = countCharacters(text);
-                const preview = getContentPreview(text);
-
-                sendResponse({
-                    success: true,
-                    content: text,
-                    title: title,
-                    url: url,
-                    wordCount: wordCount,
-                    charCount: charCount,
-                    preview: preview,
-                    sourceElement: usedSelector
-                });
-            } catch (error) {
-                sendResponse({
-                    success: false,
-                    error: error.message
-                });
+                const next = new URL(href, url);
+                if (next.origin === current.origin && normalizeUrl(next.href) !== normalizeUrl(current.href)) {
+                    return next.href;
+                }
+            } catch (e) {
+                // Not a URL
             }
         }
+        return null;
+    }
+
+    async function fetchDocument(url) {
+        const response = await fetch(url, { credentials: 'include', signal: AbortSignal.timeout(PAGE_FETCH_TIMEOUT) });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const html = await response.text();
+        return { doc: new DOMParser().parseFromString(html, 'text/html'), url: response.url || url };
+    }
+
+    // Extract a page and, for articles split over several pages, the pages
+    // after it (maxPages in all), fetched and run through the same rules.
+    // Each page's text then starts with a "[Page N]" line, which the service
+    // worker uses to split and label chunks.
+    async function extractArticle(doc, url, rules = [], maxPages = DEFAULT_MAX_PAGES) {
+        const first = await extractPage(doc, url, rules);
+        const limit = Math.min(MAX_PAGES_LIMIT, Math.max(1, maxPages || 1));
+        const pages = [first.content];
+        const seen = new Set([normalizeUrl(url)]);
+        let nextUrl = limit > 1 && !isListingPage(doc) ? findNextPageUrl(doc, url) : null;
+
+        while (nextUrl && pages.length < limit && !seen.has(normalizeUrl(nextUrl))) {
+            seen.add(normalizeUrl(nextUrl));
+            try {
+                const fetched = await fetchDocument(nextUrl);
+                const page = await extractPage(fetched.doc, fetched.url, rules);
+                // An empty or repeated page means the "next" link led somewhere else
+                if (!page.content.trim() || pages.includes(page.content)) break;
+                pages.push(page.content);
+                nextUrl = findNextPageUrl(fetched.doc, fetched.url);
+            } catch (e) {
+                log(`Next page not loaded (${nextUrl}):`, e.message);
+                break;
+            }
+        }
+
+        if (pages.length === 1) return first;
+        log(`Followed pagination: ${pages.length} pages`);
+
+        const text = pages.map((content, i) => `[Page ${i + 1}]\n${content}`).join('\n\n');
+        return {
+            ...first,
+            content: text,
+            wordCount: countWords(pages.join('\n\n')),
+            charCount: countCharacters(pages.join('\n\n')),
+            preview: getContentPreview(first.content),
+            sourceElement: `${first.sourceElement}, ${pages.length} pages`,
+            // Not pageCount, which counts a PDF's pages
+            articlePages: pages.length
+        };
+    }
+
+    // Loaded by an extension page rather than injected into a tab:
+    // expose the extractor instead of listening for popup messages
+    if (location.protocol === 'chrome-extension:') {
+        globalThis.PageSummariserExtractor = { extractPage, extractArticle };
+        return;
+    }
+
+    // ============================================
+    // Waiting for client-rendered content
+    // ============================================
+
+    // The page counts as settled after this long without DOM changes
+    const SETTLE_QUIET_MS = 800;
+    // Extract anyway after waiting this long
+    const SETTLE_TIMEOUT_MS = 8000;
+    // How long an already loaded page is watched for changes before skipping the wait
+    const SETTLE_PROBE_MS = 300;
+    // Placeholders shown while content loads
+    const LOADING_SELECTOR = '[aria-busy="true"], [class*="skeleton" i], [class*="shimmer" i], [class*="placeholder-glow" i]';
+    // Toggles that reveal the rest of an article: "Read more", "Show full article", "Continue reading"
+    const READ_MORE_TEXT = /^(?:(?:read|show|see|view)\s+(?:more|all|full|the full|the rest)|continue reading|expand)\b/i;
+    const MAX_EXPANSIONS = 10;
+
+    function hasVisibleLoadingPlaceholders(doc) {
+        return Array.from(doc.querySelectorAll(LOADING_SELECTOR))
+            .some(element => element.getClientRects().length > 0);
+    }
+
+    // Wait until the DOM has been quiet for quietMs with no loading placeholders
+    // on screen; false when timeoutMs ran out first. The observer only exists
+    // while waiting, so pages pay nothing between extractions.
+    async function waitForQuiet(doc, quietMs, timeoutMs) {
+        const deadline = performance.now() + timeoutMs;
+        // Changes before the observer started are unknown, so count from now
+        let lastMutation = performance.now();
+        const observer = new MutationObserver(() => {
+            lastMutation = performance.now();
+        });
+        observer.observe(doc.documentElement, { childList: true, subtree: true, characterData: true });
+
+        try {
+            for (;;) {
+                const now = performance.now();
+                const quietFor = now - lastMutation;
+                if (quietFor >= quietMs && !hasVisibleLoadingPlaceholders(doc)) return true;
+                if (now >= deadline) return false;
+                await new Promise(resolve => setTimeout(resolve, Math.min(Math.max(quietMs - quietFor, 100), deadline - now)));
+            }
+        } finally {
+            observer.disconnect();
+        }
+    }
+
+    // A loaded page whose DOM stays still for a short probe, with no
+    // placeholders on screen, is read without the full wait. Time since the
+    // document was created says nothing here: a client-rendered page can still
+    // be fetching its content long after that.
+    async function isLoadedPage(doc) {
+        return doc.readyState === 'complete' && await waitForQuiet(doc, SETTLE_PROBE_MS, SETTLE_PROBE_MS);
+    }
+
+    // Click the "read more" toggles inside the article candidate (so not those of
+    // comments or page chrome); links that would navigate away are left alone.
+    // Returns how many were clicked.
+    function expandReadMore(doc, rule = null) {
+        const { elements } = extractMainContent(doc, rule);
+        // No article found, so any toggle would be a guess
+        if (elements[0] === (doc.body || doc.documentElement)) return 0;
+        const toggles = elements.flatMap(element =>
+            queryAllDeep(element, 'button, [role="button"], [aria-expanded="false"], a[href="#"], a[href^="javascript:"], a:not([href])'));
+        let expanded = 0;
+
+        for (const toggle of toggles) {
+            if (expanded >= MAX_EXPANSIONS) break;
+
+            const text = (toggle.textContent.trim() || toggle.getAttribute('aria-label') || '').replace(/\s+/g, ' ');
+            if (text.length > 40 || !READ_MORE_TEXT.test(text) || /comment|repl(?:y|ies)/i.test(text)) continue;
+            if (toggle.disabled || toggle.getAttribute('aria-expanded') === 'true') continue;
+            if (toggle.closest(SKIPPED_CONTAINERS) || toggle.getClientRects().length === 0) continue;
+
+            log(`Expanding: "${text}"`);
+            toggle.click();
+            expanded++;
+        }
+        return expanded;
+    }
+
+    // Let a client-rendered page finish before extracting: wait for the DOM to
+    // go quiet and, if asked, open "read more" toggles and wait again.
+    // Reported with the extraction as settle: { waitedMs, stillChanging, expanded }.
+    async function settlePage(doc, { expand = false, rule = null, quietMs = SETTLE_QUIET_MS, timeoutMs = SETTLE_TIMEOUT_MS } = {}) {
+        const start = performance.now();
+        let settled = await isLoadedPage(doc) || await waitForQuiet(doc, quietMs, Math.max(0, timeoutMs - (performance.now() - start)));
+        let expanded = 0;
+
+        if (expand) {
+            expanded = expandReadMore(doc, rule);
+            if (expanded > 0) {
+                // Always give the toggles' content a chance to render
+                settled = await waitForQuiet(doc, quietMs, Math.max(0, timeoutMs - (performance.now() - start)));
+            }
+        }
+
+        const waitedMs = Math.round(performance.now() - start);
+        log(`Settled after ${waitedMs}ms${settled ? '' : ' (still changing)'}, ${expanded} toggle(s) expanded`);
+        return { waitedMs, stillChanging: !settled, expanded };
+    }
+
+    // Listen for messages from popup. Optional fields override the settings:
+    // settle (false, or { expand, quietMs, timeoutMs }) and maxPages.
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        if (request.action === 'extractContent') {
+            (async () => {
+                try {
+                    const settings = await chrome.storage.local.get(['extractionRules', 'maxArticlePages', 'waitForContent', 'expandReadMore']);
+                    const settle = request.settle === false || (request.settle === undefined && settings.waitForContent === false)
+                        ? null
+                        : await settlePage(document, {
+                            expand: settings.expandReadMore === true,
+                            rule: findSiteRule(settings.extractionRules || [], window.location.hostname),
+                            ...request.settle
+                        });
+                    const result = await extractArticle(document, window.location.href, settings.extractionRules || [], request.maxPages ?? settings.maxArticlePages);
+                    sendResponse({ ...result, settle });
+                } catch (error) {
+                    sendResponse({
+                        success: false,
+                        error: error.message
+                    });
+                }
+            })();
+        }
         return true; // Keep channel open for async response
     });
 })();
-
@@ -0,0 +1,162 @@
+// Element picker: injected from the popup to create a per-site extraction rule
+// by clicking the article container on the page
+
+(function () {
+    'use strict';
+
+    // Injected again while already picking
+    if (globalThis.__pageSummariserPicker) return;
+    globalThis.__pageSummariserPicker = true;
+
+    const Z_INDEX = 2147483647;
+    // Classes that change with state or are generated per build make poor selectors
+    const UNSTABLE_CLASS = /\d{3,}|^(is|has)-|active|hover|focus|selected|open|visible|hidden|^css-|^sc-|__[a-z0-9]{5,}$/i;
+
+    let current = null;
+
+    const highlight = document.createElement('div');
+    Object.assign(highlight.style, {
+        position: 'fixed',
+        pointerEvents: 'none',
+        zIndex: Z_INDEX,
+        background: 'rgba(99, 102, 241, 0.15)',
+        outline: '2px solid #6366F1',
+        borderRadius: '4px',
+        transition: 'all 0.05s'
+    });
+
+    const banner = document.createElement('div');
+    Object.assign(banner.style, {
+        position: 'fixed',
+        top: '12px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: Z_INDEX,
+        padding: '10px 16px',
+        borderRadius: '12px',
+        background: '#111827',
+        color: '#FFFFFF',
+        font: '500 13px system-ui, -apple-system, sans-serif',
+        boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.2)',
+        maxWidth: '90vw',
+        pointerEvents: 'none'
+    });
+    banner.textContent = 'Click the article container · ↑ selects the parent · Esc cancels';
+
+    document.documentElement.append(highlight, banner);
+
+    function showHighlight(element) {
+        current = element;
+        const rect = element.getBoundingClientRect();
+        Object.assign(highlight.style, {
+            top: `${rect.top}px`,
+            left: `${rect.left}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+        banner.textContent = `${buildSelector(element)} · click to use · ↑ parent · Esc cancels`;
+    }
+
+    function stableClasses(element) {
+        return Array.from(element.classList).filter(name => !UNSTABLE_CLASS.test(name)).slice(0, 2);
+    }
+
+    function isUnique(selector) {
+        try {
+            return document.querySelectorAll(selector).length === 1;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Shortest selector (up to four levels) that finds only this element
+    function buildSelector(element) {
+        if (element.id && !/\d{3,}/.test(element.id) && isUnique(`#${CSS.escape(element.id)}`)) {
+            return `#${CSS.escape(element.id)}`;
+        }
+
+        const parts = [];
+        for (let node = element; node && node !== document.body && parts.length < 4; node = node.parentElement) {
+            if (node !== element && node.id && !/\d{3,}/.test(node.id)) {
+                parts.unshift(`#${CSS.escape(node.id)}`);
+            } else {
+                parts.unshift(node.tagName.toLowerCase() + stableClasses(node).map(name => `.${CSS.escape(name)}`).join(''));
+            }
+
+            const selector = parts.join(' > ');
+            if (isUnique(selector)) return selector;
+        }
+        return parts.join(' > ');
+    }
+
+    // Put the selector first in this site's rule, creating the rule if needed
+    async function saveRule(selector) {
+        const hostname = location.hostname.replace(/^www\./, '');
+        const { extractionRules = [] } = await chrome.storage.local.get('extractionRules');
+        const rule = extractionRules.find(r => r.hostname === hostname);
+
+        if (rule) {
+            rule.include = [selector, ...(rule.include || []).filter(s => s !== selector)];
+        } else {
+            extractionRules.push({
+                id: Date.now().toString(),
+                hostname,
+                include: [selector],
+                exclude: [],
+                minBlockLength: null
+            });
+        }
+        await chrome.storage.local.set({ extractionRules });
+        return hostname;
+    }
+
+    function stop(message) {
+        document.removeEventListener('mousemove', onMove, true);
+        document.removeEventListener('click', onClick, true);
+        document.removeEventListener('keydown', onKey, true);
+        highlight.remove();
+        globalThis.__pageSummariserPicker = false;
+
+        if (message) {
+            banner.textContent = message;
+            setTimeout(() => banner.remove(), 3000);
+        } else {
+            banner.remove();
+        }
+    }
+
+    function onMove(e) {
+        const element = document.elementFromPoint(e.clientX, e.clientY);
+        if (element && element !== current && element !== document.documentElement && element !== document.body) {
+            showHighlight(element);
+        }
+    }
+
+    async function onClick(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        if (!current) return;
+
+        const selector = buildSelector(current);
+        try {
+            const hostname = await saveRule(selector);
+            stop(`✓ Saved rule for ${hostname}: ${selector}`);
+        } catch (error) {
+            stop(`✕ Could not save the rule: ${error.message}`);
+        }
+    }
+
+    function onKey(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            stop();
+        } else if (e.key === 'ArrowUp' && current?.parentElement && current.parentElement !== document.body) {
+            e.preventDefault();
+            showHighlight(current.parentElement);
+        }
+    }
+
+    document.addEventListener('mousemove', onMove, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKey, true);
+})();
@@ -0,0 +1,26 @@
+// Offscreen document: turns HTML fetched by the service worker into page
+// content, using the same extraction rules as the content script, and reads
+// PDFs for it with pdf.js (which the service worker does not load)
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.target !== 'offscreen') return;
+
+    if (request.action === 'extractHtml') {
+        (async () => {
+            try {
+                const doc = new DOMParser().parseFromString(request.html, 'text/html');
+                sendResponse(await globalThis.PageSummariserExtractor.extractArticle(doc, request.url, request.rules || [], request.maxPages));
+            } catch (error) {
+                sendResponse({ success: false, error: error.message });
+            }
+        })();
+        return true;
+    }
+
+    if (request.action === 'readPdf') {
+        PdfText.fromUrl(request.url)
+            .then(pdf => sendResponse({ success: true, pdf }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+});
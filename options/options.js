@@ -0,0 +1,188 @@
+// Options page: per-site extraction rules used by content/content.js
+// Stored as extractionRules: [{ id, hostname, include[], exclude[], minBlockLength }]
+
+(function () {
+    'use strict';
+
+    const SAVE_DELAY = 500;
+
+    const elements = {
+        ruleList: document.getElementById('ruleList'),
+        addRuleBtn: document.getElementById('addRuleBtn'),
+        saveStatus: document.getElementById('saveStatus')
+    };
+
+    let rules = [];
+    // JSON of what this page last wrote, to tell our own storage changes from the picker's
+    let savedJson = '[]';
+    let saveTimer = null;
+
+    // ============================================
+    // Initialization
+    // ============================================
+    async function init() {
+        await loadRules();
+        renderRules();
+
+        elements.addRuleBtn.addEventListener('click', addRule);
+        elements.ruleList.addEventListener('input', handleInput);
+        elements.ruleList.addEventListener('click', handleClick);
+
+        // Rules created with the element picker while this page is open
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'local' || !changes.extractionRules) return;
+            const json = JSON.stringify(changes.extractionRules.newValue || []);
+            if (json === savedJson) return;
+            rules = changes.extractionRules.newValue || [];
+            savedJson = json;
+            renderRules();
+        });
+    }
+
+    async function loadRules() {
+        const { extractionRules } = await chrome.storage.local.get('extractionRules');
+        rules = extractionRules || [];
+        savedJson = JSON.stringify(rules);
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+    function renderRules() {
+        if (rules.length === 0) {
+            elements.ruleList.innerHTML = '<div class="rule-empty">No site rules yet - pages use automatic content detection.</div>';
+            return;
+        }
+
+        elements.ruleList.innerHTML = rules.map(rule => `
+            <div class="rule-card" data-id="${escapeHtml(rule.id)}">
+                <div class="rule-grid">
+                    <div class="form-group">
+                        <label>Site</label>
+                        <input type="text" data-field="hostname" value="${escapeHtml(rule.hostname)}" placeholder="example.com">
+                    </div>
+                    <div class="form-group">
+                        <label>Minimum block length (characters)</label>
+                        <input type="number" data-field="minBlockLength" min="1" value="${rule.minBlockLength || ''}" placeholder="10">
+                    </div>
+                    <div class="form-group">
+                        <label>Include selectors (one per line)</label>
+                        <textarea data-field="include" placeholder=".article-body">${escapeHtml((rule.include || []).join('\n'))}</textarea>
+                        <small class="form-hint"></small>
+                    </div>
+                    <div class="form-group">
+                        <label>Exclude selectors (one per line)</label>
+                        <textarea data-field="exclude" placeholder=".newsletter-box">${escapeHtml((rule.exclude || []).join('\n'))}</textarea>
+                        <small class="form-hint"></small>
+                    </div>
+                </div>
+                <div class="rule-footer">
+                    <button type="button" class="btn btn-ghost-danger" data-action="delete">🗑️ Delete rule</button>
+                </div>
+            </div>
+        `).join('');
+
+        elements.ruleList.querySelectorAll('textarea').forEach(validateSelectors);
+    }
+
+    // Mark lines the browser cannot parse as selectors
+    function validateSelectors(textarea) {
+        const invalid = parseLines(textarea.value).filter(selector => !isValidSelector(selector));
+        const group = textarea.closest('.form-group');
+        group.classList.toggle('invalid', invalid.length > 0);
+        group.querySelector('.form-hint').textContent = invalid.length > 0
+            ? `Invalid selector: ${invalid.join(', ')}`
+            : '';
+    }
+
+    // ============================================
+    // Editing
+    // ============================================
+    function addRule() {
+        rules.push({
+            id: Date.now().toString(),
+            hostname: '',
+            include: [],
+            exclude: [],
+            minBlockLength: null
+        });
+        renderRules();
+        elements.ruleList.querySelector('.rule-card:last-child input[data-field="hostname"]').focus();
+    }
+
+    function handleInput(e) {
+        const field = e.target.dataset.field;
+        const card = e.target.closest('.rule-card');
+        const rule = card && rules.find(r => r.id === card.dataset.id);
+        if (!field || !rule) return;
+
+        if (field === 'hostname') {
+            rule.hostname = normalizeHostname(e.target.value);
+        } else if (field === 'minBlockLength') {
+            rule.minBlockLength = parseInt(e.target.value, 10) || null;
+        } else {
+            rule[field] = parseLines(e.target.value);
+            validateSelectors(e.target);
+        }
+        scheduleSave();
+    }
+
+    function handleClick(e) {
+        const button = e.target.closest('button[data-action="delete"]');
+        if (!button) return;
+
+        const card = button.closest('.rule-card');
+        const rule = rules.find(r => r.id === card.dataset.id);
+        if (rule && confirm(`Delete the rule for ${rule.hostname || 'this site'}?`)) {
+            rules = rules.filter(r => r !== rule);
+            renderRules();
+            scheduleSave();
+        }
+    }
+
+    function scheduleSave() {
+        elements.saveStatus.textContent = 'Saving...';
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(saveRules, SAVE_DELAY);
+    }
+
+    async function saveRules() {
+        savedJson = JSON.stringify(rules);
+        await chrome.storage.local.set({ extractionRules: rules });
+        elements.saveStatus.textContent = '✓ Saved';
+    }
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    // "https://www.Example.com/news" -> "example.com"
+    function normalizeHostname(value) {
+        return value.trim().toLowerCase()
+            .replace(/^[a-z]+:\/\//, '')
+            .replace(/[/?#].*$/, '')
+            .replace(/^www\./, '');
+    }
+
+    function parseLines(value) {
+        return value.split('\n').map(line => line.trim()).filter(Boolean);
+    }
+
+    function isValidSelector(selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    init();
+})();
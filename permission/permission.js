@@ -0,0 +1,52 @@
+// Permission page: asks for access to a linked site on behalf of the service
+// worker, which can't show the browser's prompt itself, then starts the summary
+
+(function () {
+    'use strict';
+
+    const url = new URLSearchParams(location.search).get('url') || '';
+
+    const elements = {
+        linkHost: document.getElementById('linkHost'),
+        allowBtn: document.getElementById('allowBtn'),
+        cancelBtn: document.getElementById('cancelBtn'),
+        status: document.getElementById('status')
+    };
+
+    function init() {
+        let link;
+        try {
+            link = new URL(url);
+        } catch (e) {
+            link = null;
+        }
+        if (!link || !/^https?:$/.test(link.protocol)) {
+            elements.status.textContent = 'Only http(s) links can be summarised.';
+            elements.allowBtn.disabled = true;
+            return;
+        }
+
+        elements.linkHost.textContent = link.hostname;
+        // The prompt needs the click's user gesture, so request straight from the handler
+        elements.allowBtn.addEventListener('click', () => requestAccess(`${link.protocol}//${link.hostname}/*`));
+        elements.cancelBtn.addEventListener('click', () => window.close());
+    }
+
+    async function requestAccess(origin) {
+        elements.allowBtn.disabled = true;
+        try {
+            if (!await chrome.permissions.request({ origins: [origin] })) {
+                elements.status.textContent = 'Access was not granted.';
+                return;
+            }
+            await chrome.runtime.sendMessage({ action: 'summarizeLink', url });
+            window.close();
+        } catch (error) {
+            elements.status.textContent = error.message;
+        } finally {
+            elements.allowBtn.disabled = false;
+        }
+    }
+
+    init();
+})();
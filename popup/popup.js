@@ -3,6 +3,27 @@
 (function () {
     'use strict';
 
+    // Used when an OpenAI-compatible provider has no base URL set (Ollama's default)
+    const DEFAULT_CUSTOM_BASE_URL = 'http://localhost:11434/v1';
+
+    // Languages offered for summaries ('auto' keeps the page's language)
+    const OUTPUT_LANGUAGES = [
+        'en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'pl', 'sv', 'da', 'nb', 'fi', 'cs', 'ro', 'hu',
+        'el', 'tr', 'ru', 'uk', 'ar', 'he', 'hi', 'bn', 'id', 'vi', 'th', 'ja', 'ko', 'zh-CN', 'zh-TW'
+    ];
+
+    // History entries loaded per page of the list
+    const HISTORY_PAGE_SIZE = 30;
+
+    // History badges for summaries not made from a whole page
+    const SOURCE_TYPE_LABELS = {
+        selection: 'Selection',
+        link: 'Link',
+        digest: 'Digest',
+        changes: 'Changes',
+        pdf: 'PDF'
+    };
+
     // ============================================
     // DOM Elements
     // ============================================
@@ -26,20 +47,69 @@
         statusDot: document.getElementById('statusDot'),
         toggleApiSection: document.getElementById('toggleApiSection'),
         apiKeyInput: document.getElementById('apiKey'),
+        apiKeyLabel: document.getElementById('apiKeyLabel'),
+        providerSelect: document.getElementById('provider'),
+        providerFields: document.getElementById('providerFields'),
+        baseUrlInput: document.getElementById('baseUrl'),
+        authHeaderInput: document.getElementById('authHeader'),
+        authPrefixInput: document.getElementById('authPrefix'),
+        providerModelsInput: document.getElementById('providerModels'),
+        contextTokensInput: document.getElementById('contextTokens'),
         customCodeInput: document.getElementById('customCode'),
+        modelPicker: document.getElementById('modelPicker'),
+        streamOutputInput: document.getElementById('streamOutput'),
+        linkAccessInput: document.getElementById('linkAccess'),
+        waitForContentInput: document.getElementById('waitForContent'),
+        expandReadMoreInput: document.getElementById('expandReadMore'),
+        chunkConcurrencyInput: document.getElementById('chunkConcurrency'),
+        maxArticlePagesInput: document.getElementById('maxArticlePages'),
         toggleApiKeyBtn: document.getElementById('toggleApiKey'),
 
         // Actions
         summarizeBtn: document.getElementById('summarizeBtn'),
+        changesBtn: document.getElementById('changesBtn'),
+        batchScope: document.getElementById('batchScope'),
+        batchBtn: document.getElementById('batchBtn'),
         exportBtn: document.getElementById('exportBtn'),
+        exportHistoryBtn: document.getElementById('exportHistoryBtn'),
+        historySearchInput: document.getElementById('historySearch'),
+        toggleFiltersBtn: document.getElementById('toggleFilters'),
+        historyFilters: document.getElementById('historyFilters'),
+        filterHost: document.getElementById('filterHost'),
+        filterModel: document.getElementById('filterModel'),
+        filterStyle: document.getElementById('filterStyle'),
+        filterFrom: document.getElementById('filterFrom'),
+        filterTo: document.getElementById('filterTo'),
+        historyResultCount: document.getElementById('historyResultCount'),
+        backupBtn: document.getElementById('backupBtn'),
+        pickElementBtn: document.getElementById('pickElementBtn'),
+        siteRulesBtn: document.getElementById('siteRulesBtn'),
+        retentionCountInput: document.getElementById('retentionCount'),
+        retentionDaysInput: document.getElementById('retentionDays'),
+        storageUsage: document.getElementById('storageUsage'),
+        importBtn: document.getElementById('importBtn'),
+        importFileInput: document.getElementById('importFile'),
         deleteEntryBtn: document.getElementById('deleteEntryBtn'),
+        refreshBtn: document.getElementById('refreshBtn'),
         retryBtn: document.getElementById('retryBtn'),
         clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+        styleSelect: document.getElementById('styleSelect'),
+        languageSelect: document.getElementById('languageSelect'),
+        defaultLanguageSelect: document.getElementById('defaultLanguage'),
+        newTemplateBtn: document.getElementById('newTemplateBtn'),
+        templateList: document.getElementById('templateList'),
 
         // Content areas
         historyList: document.getElementById('historyList'),
         detailMeta: document.getElementById('detailMeta'), // Removed in new HTML, checking existence
         detailContent: document.getElementById('detailContent'),
+        detailActions: document.getElementById('detailActions'),
+        chatPanel: document.getElementById('chatPanel'),
+        chatThread: document.getElementById('chatThread'),
+        chatForm: document.getElementById('chatForm'),
+        chatInput: document.getElementById('chatInput'),
+        chatSendBtn: document.getElementById('chatSendBtn'),
+        chatUnavailable: document.getElementById('chatUnavailable'),
         errorMessage: document.getElementById('errorMessage'),
         loadingText: document.getElementById('loadingText'),
         loadingSubtext: document.getElementById('loadingSubtext'),
@@ -54,7 +124,24 @@
     let currentView = 'main';
     let currentSummaryId = null;
     let isProcessing = false;
+    let isAsking = false;
+    // Loaded part of the history (newest first); the rest stays in IndexedDB
     let summaryHistory = [];
+    let historyTotal = 0;
+    let currentEntry = null;
+    // Entry last returned from the summary cache instead of a new run
+    let cachedSummaryId = null;
+    // Latest entry with saved page text for the active tab's URL, for "What changed"
+    let previousEntry = null;
+    // Active search and filters; searchTerms are the query's indexed words, for highlighting
+    let historyFilter = { query: '', hostname: '', from: '', to: '', model: '', style: '' };
+    let searchTerms = [];
+    let modelCatalogue = null;
+    let promptPresets = [];
+    let promptTemplates = [];
+    let savedStyleId = null;
+    let savedOutputLanguage = 'auto';
+    let pickerIndex = -1;
 
     // ============================================
     // Initialize
@@ -66,20 +153,44 @@
         // Update API status
         updateApiStatus();
 
+        // Language pickers
+        renderLanguageOptions();
+        await updateLinkAccess();
+
         // Update model status
         await updateModelStatus();
 
+        // Summary styles
+        await loadPromptPresets();
+        renderStyleOptions();
+        renderTemplateList();
+
         // Render history
-        renderHistory();
+        await reloadHistory();
+        await renderBatchScopes();
+        await updatePreviousEntry();
+        updateStorageUsage();
 
         // Event listeners
         setupEventListeners();
+
+        // A summary made from the context menu was clicked in its notification
+        const { pendingSummaryId } = await chrome.storage.local.get('pendingSummaryId');
+        if (pendingSummaryId) {
+            chrome.storage.local.remove('pendingSummaryId');
+            openSummary(pendingSummaryId);
+        }
     }
 
     function setupEventListeners() {
         // Navigation
         elements.backBtn.addEventListener('click', goBack);
 
+        // Summaries saved by the service worker (context menu, shortcut, batch) while the popup is open
+        HistoryDB.onChange(() => {
+            if (!isProcessing) reloadHistory();
+        });
+
         // API Section
         // Use button for toggle now
         elements.toggleApiSection.addEventListener('click', toggleApiForm);
@@ -94,20 +205,86 @@
         elements.apiKeyInput.addEventListener('input', debounce(savePreferences, 1000));
         elements.customCodeInput.addEventListener('blur', savePreferences);
         elements.customCodeInput.addEventListener('input', debounce(savePreferences, 1000));
+        elements.streamOutputInput.addEventListener('change', savePreferences);
+        elements.linkAccessInput.addEventListener('change', handleLinkAccessChange);
+        elements.waitForContentInput.addEventListener('change', savePreferences);
+        elements.expandReadMoreInput.addEventListener('change', savePreferences);
+        elements.chunkConcurrencyInput.addEventListener('change', savePreferences);
+        elements.maxArticlePagesInput.addEventListener('change', savePreferences);
+        elements.providerSelect.addEventListener('change', () => {
+            updateProviderFields();
+            savePreferences();
+            updateModelStatus();
+        });
+        [elements.baseUrlInput, elements.authHeaderInput, elements.authPrefixInput,
+            elements.providerModelsInput, elements.contextTokensInput].forEach(input => {
+            input.addEventListener('blur', savePreferences);
+            input.addEventListener('input', debounce(savePreferences, 1000));
+        });
 
         // Actions
-        elements.summarizeBtn.addEventListener('click', handleSummarize);
+        elements.summarizeBtn.addEventListener('click', () => handleSummarize());
+        elements.changesBtn.addEventListener('click', () => handleSummarize({ previous: previousEntry }));
+        elements.batchBtn.addEventListener('click', handleBatchSummarize);
         elements.exportBtn.addEventListener('click', handleExport);
+        elements.exportHistoryBtn.addEventListener('click', handleExportHistory);
+        elements.historySearchInput.addEventListener('input', debounce(applyHistoryFilter, 150));
+        elements.toggleFiltersBtn.addEventListener('click', toggleHistoryFilters);
+        [elements.filterHost, elements.filterModel, elements.filterStyle, elements.filterFrom, elements.filterTo]
+            .forEach(input => input.addEventListener('change', applyHistoryFilter));
+        elements.backupBtn.addEventListener('click', handleBackup);
+        elements.pickElementBtn.addEventListener('click', handlePickElement);
+        elements.siteRulesBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+        elements.retentionCountInput.addEventListener('change', saveRetention);
+        elements.retentionDaysInput.addEventListener('change', saveRetention);
+        elements.importBtn.addEventListener('click', () => elements.importFileInput.click());
+        elements.importFileInput.addEventListener('change', handleImportFile);
         elements.deleteEntryBtn.addEventListener('click', handleDeleteEntry);
+        elements.refreshBtn.addEventListener('click', () => handleSummarize({ forceRefresh: true }));
         elements.retryBtn.addEventListener('click', () => showView('main'));
         elements.clearHistoryBtn.addEventListener('click', handleClearHistory);
+        elements.chatForm.addEventListener('submit', handleAsk);
+        elements.detailContent.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-entry-id]');
+            if (!link) return;
+            e.preventDefault();
+            openLinkedEntry(link.dataset.entryId);
+        });
+        elements.styleSelect.addEventListener('change', () => {
+            chrome.storage.local.set({ summaryStyle: elements.styleSelect.value });
+        });
+        elements.defaultLanguageSelect.addEventListener('change', savePreferences);
+        elements.newTemplateBtn.addEventListener('click', () => showTemplateEditor(null));
+        elements.templateList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const template = promptTemplates.find(t => t.id === button.dataset.id);
+            if (!template) return;
+            if (button.dataset.action === 'edit') {
+                showTemplateEditor(template);
+            } else if (button.dataset.action === 'delete') {
+                handleDeleteTemplate(template);
+            }
+        });
 
         // Keyboard shortcuts
         elements.apiKeyInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') handleSummarize();
         });
         elements.customCodeInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') handleSummarize();
+            if (e.key === 'Enter' && pickerIndex < 0) handleSummarize();
+        });
+
+        // Model picker
+        elements.customCodeInput.addEventListener('focus', openModelPicker);
+        elements.customCodeInput.addEventListener('input', renderModelPicker);
+        elements.customCodeInput.addEventListener('keydown', handleModelPickerKeys);
+        elements.customCodeInput.addEventListener('blur', closeModelPicker);
+        // Keep focus in the input while clicking an option
+        elements.modelPicker.addEventListener('mousedown', (e) => e.preventDefault());
+        elements.modelPicker.addEventListener('click', (e) => {
+            const option = e.target.closest('.model-option');
+            if (option) selectModel(option.dataset.id);
         });
     }
 
@@ -116,14 +293,37 @@
     // ============================================
     async function loadData() {
         return new Promise((resolve) => {
-            chrome.storage.local.get(['apiKey', 'customCode', 'summaryHistory'], (result) => {
+            chrome.storage.local.get(['apiKey', 'customCode', 'streamOutput', 'chunkConcurrency', 'maxArticlePages', 'waitForContent', 'expandReadMore', 'providerConfig', 'summaryStyle', 'outputLanguage', 'promptTemplates', 'historyRetention'], (result) => {
                 if (result.apiKey) {
                     elements.apiKeyInput.value = result.apiKey;
                 }
                 if (result.customCode) {
                     elements.customCodeInput.value = result.customCode;
                 }
-                summaryHistory = result.summaryHistory || [];
+                // Streaming is on unless explicitly turned off
+                elements.streamOutputInput.checked = result.streamOutput !== false;
+                elements.waitForContentInput.checked = result.waitForContent !== false;
+                elements.expandReadMoreInput.checked = result.expandReadMore === true;
+                if (result.chunkConcurrency) {
+                    elements.chunkConcurrencyInput.value = result.chunkConcurrency;
+                }
+                if (result.maxArticlePages) {
+                    elements.maxArticlePagesInput.value = result.maxArticlePages;
+                }
+                const provider = result.providerConfig || {};
+                elements.providerSelect.value = provider.type || 'openrouter';
+                elements.baseUrlInput.value = provider.baseUrl || '';
+                elements.authHeaderInput.value = provider.authHeader || '';
+                elements.authPrefixInput.value = provider.authPrefix ?? '';
+                elements.providerModelsInput.value = (provider.models || []).join(', ');
+                elements.contextTokensInput.value = provider.contextTokens || '';
+                updateProviderFields();
+                savedStyleId = result.summaryStyle || null;
+                savedOutputLanguage = result.outputLanguage || 'auto';
+                promptTemplates = result.promptTemplates || [];
+                const retention = result.historyRetention || {};
+                elements.retentionCountInput.value = retention.maxEntries || '';
+                elements.retentionDaysInput.value = retention.maxAgeDays || '';
                 resolve();
             });
         });
@@ -135,47 +335,281 @@
 
         chrome.storage.local.set({
             apiKey: apiKey || null,
-            customCode: customCode || null
+            customCode: customCode || null,
+            streamOutput: elements.streamOutputInput.checked,
+            waitForContent: elements.waitForContentInput.checked,
+            expandReadMore: elements.expandReadMoreInput.checked,
+            chunkConcurrency: getChunkConcurrency(),
+            maxArticlePages: getMaxArticlePages(),
+            providerConfig: getProviderConfig(),
+            outputLanguage: elements.defaultLanguageSelect.value || 'auto'
         });
 
         updateApiStatus();
     }
 
-    async function saveSummary(summaryData) {
-        const entry = {
-            id: Date.now().toString(),
-            title: summaryData.title || 'Untitled Page',
-            url: summaryData.url,
-            hostname: new URL(summaryData.url).hostname,
-            favicon: `https://www.google.com/s2/favicons?domain=${new URL(summaryData.url).hostname}&sz=32`,
-            summary: summaryData.summary,
-            wordCount: summaryData.wordCount,
-            charCount: summaryData.charCount,
-            sourceElement: summaryData.sourceElement,
-            modelInfo: summaryData.modelInfo,
-            createdAt: new Date().toISOString()
+    // Provider settings as sent to the service worker
+    function getProviderConfig() {
+        const type = elements.providerSelect.value;
+        if (type === 'openrouter') {
+            return { type };
+        }
+
+        const authPrefix = elements.authPrefixInput.value.trim();
+        return {
+            type,
+            baseUrl: elements.baseUrlInput.value.trim() || DEFAULT_CUSTOM_BASE_URL,
+            authHeader: elements.authHeaderInput.value.trim() || 'Authorization',
+            // An empty prefix field means the default; '-' sends the raw key
+            authPrefix: authPrefix === '-' ? '' : (authPrefix || 'Bearer'),
+            models: elements.providerModelsInput.value.split(',').map(m => m.trim()).filter(Boolean),
+            contextTokens: parseInt(elements.contextTokensInput.value, 10) || null
         };
+    }
+
+    // Custom endpoints need host access, requested at runtime from the optional permissions.
+    // Must run inside the click handler before any other await so the user gesture still counts.
+    async function ensureProviderPermission(providerConfig) {
+        if (providerConfig.type === 'openrouter') return true;
+
+        let origin;
+        try {
+            const url = new URL(providerConfig.baseUrl);
+            origin = `${url.protocol}//${url.hostname}/*`;
+        } catch {
+            throw new Error('Invalid base URL for the OpenAI-compatible provider.');
+        }
+
+        return chrome.permissions.request({ origins: [origin] });
+    }
 
-        // Add to beginning of array (newest first)
-        summaryHistory.unshift(entry);
+    // "Summarise link target" fetches the link, which needs access to its site:
+    // granted here for all sites at once, or asked for per site on each click
+    const ALL_SITES = { origins: ['http://*/*', 'https://*/*'] };
 
-        // Keep only last 50 entries
-        if (summaryHistory.length > 50) {
-            summaryHistory = summaryHistory.slice(0, 50);
+    async function updateLinkAccess() {
+        elements.linkAccessInput.checked = await chrome.permissions.contains(ALL_SITES);
+    }
+
+    async function handleLinkAccessChange() {
+        if (elements.linkAccessInput.checked) {
+            elements.linkAccessInput.checked = await chrome.permissions.request(ALL_SITES);
+        } else {
+            await chrome.permissions.remove(ALL_SITES);
+        }
+    }
+
+    // Let the user click the article container on the page; the picker saves
+    // it as this site's extraction rule (see content/picker.js)
+    async function handlePickElement() {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        try {
+            await chrome.scripting.executeScript({
+                target: { tabId: tab.id },
+                files: ['content/picker.js']
+            });
+            window.close();
+        } catch (error) {
+            showToast('Cannot pick elements on this page', 'error');
         }
+    }
+
+    // Clamp the parallel request setting to a sane range
+    function getChunkConcurrency() {
+        const value = parseInt(elements.chunkConcurrencyInput.value, 10);
+        return Math.min(8, Math.max(1, value || 3));
+    }
+
+    // Pages followed through "next" links; 1 turns pagination off
+    function getMaxArticlePages() {
+        const value = parseInt(elements.maxArticlePagesInput.value, 10);
+        return Math.min(20, Math.max(1, value || 1));
+    }
+
+    async function saveSummary(summaryData) {
+        const entry = HistoryDB.createEntry(summaryData);
 
-        await chrome.storage.local.set({ summaryHistory });
+        // Retention settings apply on save, so reload rather than just prepend
+        await HistoryDB.put(entry);
+        await reloadHistory();
+        updateStorageUsage();
         return entry;
     }
 
+    // Persist changes made to an entry in place (e.g. a new chat message)
+    async function updateSummary(entry) {
+        await HistoryDB.put(entry);
+    }
+
     async function deleteSummary(id) {
+        await HistoryDB.remove(id);
         summaryHistory = summaryHistory.filter(entry => entry.id !== id);
-        await chrome.storage.local.set({ summaryHistory });
+        historyTotal = Math.max(0, historyTotal - 1);
+        updateStorageUsage();
     }
 
     async function clearAllHistory() {
+        await HistoryDB.clear();
+        summaryHistory = [];
+        historyTotal = 0;
+        updateStorageUsage();
+    }
+
+    function isFilteringHistory() {
+        return Object.values(historyFilter).some(Boolean);
+    }
+
+    // One page of the list: plain newest-first, or search results when filtering
+    async function fetchHistory(offset, limit) {
+        if (isFilteringHistory()) {
+            const result = await HistoryDB.search(historyFilter, offset, limit);
+            searchTerms = result.terms;
+            return result;
+        }
+
+        searchTerms = [];
+        const [entries, total] = await Promise.all([
+            HistoryDB.getPage(offset, limit),
+            HistoryDB.count()
+        ]);
+        return { entries, total };
+    }
+
+    // Reload the loaded part of the list (at least one page) from IndexedDB
+    async function reloadHistory() {
+        const limit = Math.max(summaryHistory.length, HISTORY_PAGE_SIZE);
+        const { entries, total } = await fetchHistory(0, limit);
+        summaryHistory = entries;
+        historyTotal = total;
+        renderHistory();
+    }
+
+    async function applyHistoryFilter() {
+        historyFilter = {
+            query: elements.historySearchInput.value.trim(),
+            hostname: elements.filterHost.value,
+            from: elements.filterFrom.value,
+            to: elements.filterTo.value,
+            model: elements.filterModel.value,
+            style: elements.filterStyle.value
+        };
         summaryHistory = [];
-        await chrome.storage.local.set({ summaryHistory });
+        await reloadHistory();
+    }
+
+    // Show the filter pickers, filled with the sites, models and styles in history
+    async function toggleHistoryFilters() {
+        const show = elements.historyFilters.classList.toggle('hidden') === false;
+        if (!show) return;
+
+        const { hostnames, models, styles } = await HistoryDB.getFacets();
+        const fill = (select, values, allLabel) => {
+            const current = select.value;
+            select.innerHTML = `<option value="">${allLabel}</option>` +
+                values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+            select.value = values.includes(current) ? current : '';
+        };
+        fill(elements.filterHost, hostnames, 'All sites');
+        fill(elements.filterModel, models, 'All models');
+        fill(elements.filterStyle, styles, 'All styles');
+    }
+
+    // Text lowercased and without accents as the search index folds it (see
+    // HistoryDB's tokenizer), with the span of the original each folded character
+    // came from, so "cafe" finds and highlights "Café"
+    function foldForSearch(text) {
+        let folded = '';
+        const starts = [];
+        const ends = [];
+        let index = 0;
+        for (const char of text) {
+            const part = char.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+            for (let i = 0; i < part.length; i++) {
+                starts.push(index);
+                ends.push(index + char.length);
+            }
+            folded += part;
+            index += char.length;
+        }
+        return { folded, starts, ends };
+    }
+
+    // Escape text and wrap the words that start with a search term in <mark>
+    function highlightTerms(text, terms = searchTerms) {
+        if (!text || terms.length === 0) return escapeHtml(text);
+
+        const pattern = new RegExp(terms
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .map(term => term.length === 1 ? `(${term})` : `(?<![\\p{L}\\p{N}])(${term})`)
+            .join('|'), 'gu');
+
+        const { folded, starts, ends } = foldForSearch(text);
+        let html = '';
+        let last = 0;
+        for (const match of folded.matchAll(pattern)) {
+            const start = Math.max(last, starts[match.index]);
+            const end = ends[match.index + match[0].length - 1];
+            if (end <= start) continue;
+            html += escapeHtml(text.slice(last, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+            last = end;
+        }
+        return html + escapeHtml(text.slice(last));
+    }
+
+    // A line of the summary around the first search match
+    function getSearchSnippet(summary) {
+        if (searchTerms.length === 0 || !summary) return '';
+
+        const { folded, starts } = foldForSearch(summary);
+        const positions = searchTerms.map(term => folded.indexOf(term)).filter(index => index >= 0);
+        if (positions.length === 0) return '';
+
+        const start = Math.max(0, starts[Math.min(...positions)] - 50);
+        const snippet = summary.slice(start, start + 160).replace(/\s+/g, ' ').trim();
+        return `${start > 0 ? '…' : ''}${highlightTerms(snippet)}${start + 160 < summary.length ? '…' : ''}`;
+    }
+
+    let loadingMoreHistory = false;
+
+    async function loadMoreHistory() {
+        if (loadingMoreHistory || summaryHistory.length >= historyTotal) return;
+        loadingMoreHistory = true;
+        try {
+            const { entries: page } = await fetchHistory(summaryHistory.length, HISTORY_PAGE_SIZE);
+            const known = new Set(summaryHistory.map(entry => entry.id));
+            summaryHistory.push(...page.filter(entry => !known.has(entry.id)));
+            renderHistory();
+        } finally {
+            loadingMoreHistory = false;
+        }
+    }
+
+    // Save retention settings and apply them right away
+    async function saveRetention() {
+        const historyRetention = {
+            maxEntries: Math.max(0, parseInt(elements.retentionCountInput.value, 10) || 0),
+            maxAgeDays: Math.max(0, parseInt(elements.retentionDaysInput.value, 10) || 0)
+        };
+        await chrome.storage.local.set({ historyRetention });
+
+        const deleted = await HistoryDB.applyRetention(historyRetention);
+        if (deleted > 0) {
+            showToast(`Removed ${deleted} old ${deleted === 1 ? 'summary' : 'summaries'}`);
+            await reloadHistory();
+        }
+        updateStorageUsage();
+    }
+
+    async function updateStorageUsage() {
+        const { entries, usage } = await HistoryDB.getUsage();
+        const size = usage === null ? '' : ` · ${formatBytes(usage)} used`;
+        elements.storageUsage.textContent = `${entries.toLocaleString()} ${entries === 1 ? 'summary' : 'summaries'} stored${size}`;
+    }
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
     }
 
     // ============================================
@@ -201,7 +635,10 @@
             if (elements.summarizeBtn) elements.summarizeBtn.parentElement.classList.add('hidden');
 
             if (viewName === 'detail') {
-                elements.backBtn.classList.remove('hidden');
+                // While a summary is still streaming in there is nothing to go back to, export or delete
+                elements.backBtn.classList.toggle('hidden', isProcessing);
+                elements.detailActions?.classList.toggle('hidden', isProcessing);
+                elements.chatPanel?.classList.toggle('hidden', isProcessing);
                 elements.headerTitle.textContent = 'Summary';
             } else if (viewName === 'loading') {
                 elements.backBtn.classList.add('hidden');
@@ -215,6 +652,8 @@
 
     function goBack() {
         currentSummaryId = null;
+        currentEntry = null;
+        cachedSummaryId = null;
         renderHistory(); // Refresh history list
         showView('main');
     }
@@ -238,6 +677,13 @@
     }
 
     async function updateModelStatus() {
+        // Free model quotas only apply to OpenRouter
+        if (elements.providerSelect.value !== 'openrouter') {
+            elements.modelStatus.classList.remove('warning', 'danger');
+            elements.modelStatusText.innerHTML = `<strong>Using ${escapeHtml(elements.baseUrlInput.value.trim() || DEFAULT_CUSTOM_BASE_URL)}</strong>`;
+            return;
+        }
+
         try {
             const response = await chrome.runtime.sendMessage({ action: 'getModelStatus' });
 
@@ -269,6 +715,16 @@
         }
     }
 
+    function updateProviderFields() {
+        const isOpenRouter = elements.providerSelect.value === 'openrouter';
+        elements.providerFields.classList.toggle('hidden', isOpenRouter);
+        elements.apiKeyLabel.textContent = isOpenRouter ? 'OpenRouter API Key' : 'API Key (optional for local servers)';
+        elements.apiKeyInput.placeholder = isOpenRouter ? 'sk-or-...' : 'Leave empty if not required';
+        elements.customCodeInput.placeholder = isOpenRouter
+            ? 'Default: Auto-cycle free models'
+            : 'Default: first model in the list above';
+    }
+
     function toggleApiForm() {
         const isHidden = elements.apiForm.classList.contains('hidden');
         if (isHidden) {
@@ -299,13 +755,315 @@
         }
     }
 
+    // ============================================
+    // Output Language
+    // ============================================
+    function getLanguageName(code) {
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+        } catch {
+            return code;
+        }
+    }
+
+    function renderLanguageOptions() {
+        const languageOptions = OUTPUT_LANGUAGES
+            .map(code => ({ code, name: getLanguageName(code) }))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(({ code, name }) => `<option value="${code}">${escapeHtml(name)}</option>`)
+            .join('');
+
+        elements.defaultLanguageSelect.innerHTML = `<option value="auto">Same as page</option>${languageOptions}`;
+        elements.defaultLanguageSelect.value = savedOutputLanguage;
+
+        // The per-run picker starts on the saved default
+        elements.languageSelect.innerHTML = `<option value="">Default language</option>${languageOptions}` +
+            '<option value="auto">Same as page</option>';
+        elements.languageSelect.value = '';
+    }
+
+    // Per-run override, else the saved default
+    function getOutputLanguage() {
+        return elements.languageSelect.value || elements.defaultLanguageSelect.value || 'auto';
+    }
+
+    // 'de → en' style label for history entries
+    function formatLanguagePair(entry) {
+        if (!entry.sourceLanguage && !entry.outputLanguage) return '';
+        const source = (entry.sourceLanguage || '?').toUpperCase();
+        const output = (entry.outputLanguage || entry.sourceLanguage || '?').toUpperCase();
+        return source === output ? source : `${source} → ${output}`;
+    }
+
+    // ============================================
+    // Summary Styles & Prompt Templates
+    // ============================================
+    async function loadPromptPresets() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getPromptPresets' });
+            promptPresets = response?.presets || [];
+        } catch (error) {
+            console.log('Could not load prompt presets:', error);
+            promptPresets = [];
+        }
+    }
+
+    function findStyle(styleId) {
+        return promptPresets.find(p => p.id === styleId) || promptTemplates.find(t => t.id === styleId);
+    }
+
+    function renderStyleOptions() {
+        const selected = elements.styleSelect.value || savedStyleId;
+
+        const presetOptions = promptPresets.map(preset =>
+            `<option value="${escapeHtml(preset.id)}">${escapeHtml(preset.name)}</option>`
+        ).join('');
+        const templateOptions = promptTemplates.map(template =>
+            `<option value="${escapeHtml(template.id)}">${escapeHtml(template.name)}</option>`
+        ).join('');
+
+        elements.styleSelect.innerHTML = presetOptions +
+            (templateOptions ? `<optgroup label="My templates">${templateOptions}</optgroup>` : '');
+
+        if (selected && findStyle(selected)) {
+            elements.styleSelect.value = selected;
+        }
+    }
+
+    function renderTemplateList() {
+        if (promptTemplates.length === 0) {
+            elements.templateList.innerHTML = '<div class="template-empty">No custom templates yet</div>';
+            return;
+        }
+
+        elements.templateList.innerHTML = promptTemplates.map(template => `
+            <div class="template-item">
+                <span class="template-item-name">${escapeHtml(template.name)}</span>
+                <button type="button" class="btn-text" data-action="edit" data-id="${escapeHtml(template.id)}">Edit</button>
+                <button type="button" class="btn-text" data-action="delete" data-id="${escapeHtml(template.id)}">Delete</button>
+            </div>
+        `).join('');
+    }
+
+    async function savePromptTemplates() {
+        await chrome.storage.local.set({ promptTemplates });
+        renderStyleOptions();
+        renderTemplateList();
+    }
+
+    // Create (template = null) or edit a template. New ones start from the selected style.
+    function showTemplateEditor(template) {
+        const base = template || findStyle(elements.styleSelect.value) || promptPresets[0] || {};
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal modal-form">
+                <div class="modal-title">${template ? 'Edit Template' : 'New Template'}</div>
+                <div class="form-group">
+                    <label for="templateName">Name</label>
+                    <input type="text" id="templateName" autocomplete="off">
+                </div>
+                <div class="form-group">
+                    <label for="templateChunk">Prompt for the page (or each part of a long page)</label>
+                    <textarea id="templateChunk" rows="7"></textarea>
+                </div>
+                <div class="form-group">
+                    <label for="templateCombine">Prompt for combining parts (optional)</label>
+                    <textarea id="templateCombine" rows="5"></textarea>
+                </div>
+                <small class="form-hint">Placeholders: {{content}}, {{title}}, {{url}}, {{part}}</small>
+                <div class="modal-actions">
+                    <button class="btn btn-secondary" id="templateCancel">Cancel</button>
+                    <button class="btn btn-primary" id="templateSave">Save</button>
+                </div>
+            </div>
+        `;
+
+        // Filled via .value so the prompt text never goes through innerHTML
+        overlay.querySelector('#templateName').value = template ? template.name : `${base.name || 'Custom'} (copy)`;
+        overlay.querySelector('#templateChunk').value = base.chunk || '';
+        overlay.querySelector('#templateCombine').value = base.combine || '';
+
+        document.body.appendChild(overlay);
+
+        const cleanup = () => overlay.remove();
+        overlay.querySelector('#templateCancel').addEventListener('click', cleanup);
+        overlay.querySelector('#templateSave').addEventListener('click', async () => {
+            const name = overlay.querySelector('#templateName').value.trim();
+            const chunk = overlay.querySelector('#templateChunk').value.trim();
+            const combine = overlay.querySelector('#templateCombine').value.trim();
+
+            if (!name || !chunk) {
+                showToast('A template needs a name and a prompt', 'error');
+                return;
+            }
+
+            let created = null;
+            if (template) {
+                Object.assign(template, { name, chunk, combine });
+            } else {
+                created = { id: `custom-${Date.now()}`, name, chunk, combine };
+                promptTemplates.push(created);
+            }
+
+            await savePromptTemplates();
+
+            // Select a new template right away
+            if (created) {
+                elements.styleSelect.value = created.id;
+                chrome.storage.local.set({ summaryStyle: created.id });
+            }
+            cleanup();
+            showToast('Template saved');
+        });
+    }
+
+    function handleDeleteTemplate(template) {
+        showConfirmModal({
+            icon: '🗑️',
+            title: 'Delete Template?',
+            message: `Delete "${escapeHtml(truncate(template.name, 40))}"? Past summaries keep their text.`,
+            confirmText: 'Delete',
+            confirmClass: 'btn-ghost-danger',
+            onConfirm: async () => {
+                promptTemplates = promptTemplates.filter(t => t.id !== template.id);
+                await savePromptTemplates();
+                showToast('Template deleted');
+            }
+        });
+    }
+
+    // ============================================
+    // Model Picker
+    // ============================================
+    async function loadModelCatalogue() {
+        if (modelCatalogue) return modelCatalogue;
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getModelCatalogue' });
+            modelCatalogue = response?.models || [];
+        } catch (error) {
+            console.log('Could not load model catalogue:', error);
+            modelCatalogue = [];
+        }
+        return modelCatalogue;
+    }
+
+    // Models offered for the selected provider
+    async function getPickerModels() {
+        if (elements.providerSelect.value !== 'openrouter') {
+            return getProviderConfig().models.map(id => ({ id, name: id }));
+        }
+        return loadModelCatalogue();
+    }
+
+    async function openModelPicker() {
+        elements.modelPicker.classList.remove('hidden');
+        elements.customCodeInput.setAttribute('aria-expanded', 'true');
+        await renderModelPicker();
+    }
+
+    function closeModelPicker() {
+        elements.modelPicker.classList.add('hidden');
+        elements.customCodeInput.setAttribute('aria-expanded', 'false');
+        pickerIndex = -1;
+    }
+
+    function formatPrice(perToken) {
+        if (!perToken) return 'Free';
+        return `$${(perToken * 1000000).toFixed(2)}/M`;
+    }
+
+    async function renderModelPicker() {
+        const models = await getPickerModels();
+        // Every search term has to match the id, name or provider
+        const terms = elements.customCodeInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = models.filter(model => {
+            const haystack = `${model.id} ${model.name || ''} ${model.provider || ''}`.toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        }).slice(0, 50);
+
+        pickerIndex = -1;
+
+        if (matches.length === 0) {
+            elements.modelPicker.innerHTML = `<div class="model-picker-empty">${models.length === 0
+                ? 'Model list unavailable - type a model ID'
+                : 'No matching models - the typed ID will be used as-is'}</div>`;
+            return;
+        }
+
+        elements.modelPicker.innerHTML = matches.map(model => {
+            const meta = [model.id];
+            if (model.context) meta.push(model.context);
+            if (model.pricing) meta.push(`${formatPrice(model.pricing.prompt)} in · ${formatPrice(model.pricing.completion)} out`);
+
+            return `
+                <div class="model-option" role="option" data-id="${escapeHtml(model.id)}">
+                    <div class="model-option-name">
+                        ${escapeHtml(model.name || model.id)}
+                        ${model.isFree ? '<span class="model-badge">Free</span>' : ''}
+                    </div>
+                    <div class="model-option-meta">${escapeHtml(meta.join(' · '))}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function handleModelPickerKeys(e) {
+        const options = elements.modelPicker.querySelectorAll('.model-option');
+
+        if (e.key === 'Escape') {
+            closeModelPicker();
+            return;
+        }
+        if (e.key === 'Enter' && pickerIndex >= 0 && options[pickerIndex]) {
+            e.preventDefault();
+            selectModel(options[pickerIndex].dataset.id);
+            return;
+        }
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+
+        e.preventDefault();
+        if (elements.modelPicker.classList.contains('hidden')) {
+            openModelPicker();
+            return;
+        }
+        if (options.length === 0) return;
+
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        pickerIndex = (pickerIndex + step + options.length) % options.length;
+        options.forEach((option, i) => option.classList.toggle('active', i === pickerIndex));
+        options[pickerIndex].scrollIntoView({ block: 'nearest' });
+    }
+
+    function selectModel(modelId) {
+        elements.customCodeInput.value = modelId;
+        closeModelPicker();
+        savePreferences();
+    }
+
     // ============================================
     // History Rendering
     // ============================================
     function renderHistory() {
         // Toggle Clear All button visibility
+        const filtering = isFilteringHistory();
         if (elements.clearHistoryBtn) {
-            elements.clearHistoryBtn.style.display = summaryHistory.length > 0 ? 'block' : 'none';
+            elements.clearHistoryBtn.style.display = historyTotal > 0 || filtering ? 'block' : 'none';
+        }
+        elements.exportHistoryBtn.style.display = historyTotal > 0 || filtering ? 'block' : 'none';
+
+        elements.historyResultCount.classList.toggle('hidden', !filtering);
+        elements.historyResultCount.textContent = `${historyTotal.toLocaleString()} ${historyTotal === 1 ? 'match' : 'matches'}`;
+
+        if (summaryHistory.length === 0 && filtering) {
+            elements.historyList.innerHTML = `
+                <div class="empty-history">
+                    <div class="empty-illustration">🔍</div>
+                    <p>No matching summaries</p>
+                    <small>Try other words or fewer filters</small>
+                </div>
+            `;
+            return;
         }
 
         if (summaryHistory.length === 0) {
@@ -319,23 +1077,45 @@
             return;
         }
 
-        elements.historyList.innerHTML = summaryHistory.map(entry => `
-            <div class="history-item" data-id="${entry.id}">
-                <div class="history-item-title">${escapeHtml(entry.title)}</div>
-                <div class="history-item-site">
-                    <img src="${entry.favicon}" alt="" onerror="this.style.display='none'">
-                    ${escapeHtml(entry.hostname)}
+        elements.historyList.innerHTML = summaryHistory.map(entry => {
+            const snippet = getSearchSnippet(entry.summary);
+            return `
+                <div class="history-item${snippet ? ' has-snippet' : ''}" data-id="${escapeHtml(entry.id)}">
+                    <div class="history-item-title">${highlightTerms(entry.title)}</div>
+                    ${snippet ? `<div class="history-item-snippet">${snippet}</div>` : ''}
+                    <div class="history-item-site">
+                        ${entry.favicon ? `<img src="${escapeHtml(entry.favicon)}" alt="" onerror="this.style.display='none'">` : ''}
+                        ${escapeHtml(entry.hostname || (Array.isArray(entry.sources) ? `${entry.sources.length} tabs` : ''))}
+                        ${formatLanguagePair(entry) ? `<span class="history-item-lang">${escapeHtml(formatLanguagePair(entry))}</span>` : ''}
+                        ${SOURCE_TYPE_LABELS[entry.sourceType] ? `<span class="history-item-lang">${SOURCE_TYPE_LABELS[entry.sourceType]}</span>` : ''}
+                    </div>
+                    <div class="history-item-date">${formatDate(entry.createdAt)}</div>
                 </div>
-                <div class="history-item-date">${formatDate(entry.createdAt)}</div>
-            </div>
-        `).join('');
+            `;
+        }).join('');
 
         // Add click handlers
         elements.historyList.querySelectorAll('.history-item').forEach(item => {
             item.addEventListener('click', () => openSummary(item.dataset.id));
         });
+
+        // More entries load as the end of the list scrolls into view
+        if (summaryHistory.length < historyTotal) {
+            const sentinel = document.createElement('button');
+            sentinel.className = 'btn-text history-more';
+            sentinel.textContent = `Load more (${historyTotal - summaryHistory.length} older)`;
+            sentinel.addEventListener('click', loadMoreHistory);
+            elements.historyList.appendChild(sentinel);
+
+            historyObserver.disconnect();
+            historyObserver.observe(sentinel);
+        }
     }
 
+    const historyObserver = new IntersectionObserver((observed) => {
+        if (observed.some(item => item.isIntersecting)) loadMoreHistory();
+    });
+
     function formatDate(isoString) {
         const date = new Date(isoString);
         const now = new Date();
@@ -365,61 +1145,336 @@
     // ============================================
     // Summary Detail View
     // ============================================
-    function openSummary(id) {
-        const entry = summaryHistory.find(e => e.id === id);
+    async function openSummary(id) {
+        const entry = summaryHistory.find(e => e.id === id) || await HistoryDB.get(id);
         if (!entry) return;
 
         currentSummaryId = id;
+        currentEntry = entry;
+
+        // Digest: the per-tab summaries it was made from, where still in history
+        const sources = Array.isArray(entry.sources)
+            ? (await Promise.all(entry.sources.map(sourceId => HistoryDB.get(sourceId)))).filter(Boolean)
+            : [];
 
         // Build summary content with header info prepended (since we removed the separate meta block)
         const headerHtml = `
             <div style="border-bottom: 1px solid #E5E7EB; padding-bottom: 16px; margin-bottom: 16px;">
                 <h2 style="font-size: 18px; font-weight: 600; margin-bottom: 8px; color: #111827;">${escapeHtml(entry.title)}</h2>
                 <div style="display: flex; gap: 12px; font-size: 12px; color: #6B7280; flex-wrap: wrap;">
-                    <a href="${entry.url}" target="_blank" style="color: #6366F1; text-decoration: none; display: flex; align-items: center; gap: 4px;">
+                    ${entry.url ? `<a href="${escapeHtml(entry.url)}" target="_blank" style="color: #6366F1; text-decoration: none; display: flex; align-items: center; gap: 4px;">
                         🌐 ${escapeHtml(entry.hostname)}
-                    </a>
+                    </a>` : ''}
                     <span>📅 ${new Date(entry.createdAt).toLocaleString()}</span>
-                    <span>📝 ${entry.wordCount?.toLocaleString() || 0} words</span>
+                    <span>📝 ${escapeHtml(entry.wordCount?.toLocaleString()) || 0} words</span>
+                    ${entry.pageCount ? `<span>📄 ${escapeHtml(entry.pageCount.toLocaleString())} ${entry.pageCount === 1 ? 'page' : 'pages'}</span>` : ''}
+                    ${entry.articlePages ? `<span>📑 ${escapeHtml(entry.articlePages)}-page article</span>` : ''}
+                    ${entry.style ? `<span>🎨 ${escapeHtml(entry.style.name)}</span>` : ''}
+                    ${formatLanguagePair(entry) ? `<span>🗣️ ${escapeHtml(formatLanguagePair(entry))}</span>` : ''}
+                    ${id === cachedSummaryId ? '<span title="The page has not changed since this summary">⚡ Cached</span>' : ''}
+                    ${entry.modelInfo?.cachedCalls ? `<span>⚡ ${escapeHtml(entry.modelInfo.cachedCalls)} parts reused</span>` : ''}
+                    ${entry.changes ? `<span>🔁 ${escapeHtml(formatChangeCounts(entry.changes))}</span>` : ''}
+                    ${entry.previousId ? `<a href="#" data-entry-id="${escapeHtml(entry.previousId)}" style="color: #6366F1; text-decoration: none;">↩ Previous summary</a>` : ''}
                 </div>
+                ${sources.length ? `<div style="margin-top: 8px; font-size: 12px; color: #6B7280;">
+                    Sources: ${sources.map(source => `<a href="#" data-entry-id="${escapeHtml(source.id)}" title="${escapeHtml(source.url || '')}" style="color: #6366F1; text-decoration: none;">${escapeHtml(source.title)}</a>`).join(' · ')}
+                </div>` : ''}
             </div>
         `;
 
         elements.detailContent.innerHTML = headerHtml + escapeHtmlText(entry.summary);
+        elements.refreshBtn.classList.toggle('hidden', id !== cachedSummaryId);
+        renderChat(entry);
         showView('detail');
     }
 
+    // Open an entry linked from another one (e.g. the previous version of a page)
+    async function openLinkedEntry(id) {
+        if (!await HistoryDB.get(id)) {
+            showToast('That summary is no longer in history', 'error');
+            return;
+        }
+        openSummary(id);
+    }
+
+    function formatChangeCounts(changes) {
+        return [
+            changes.added ? `${changes.added} added` : '',
+            changes.removed ? `${changes.removed} removed` : '',
+            changes.edited ? `${changes.edited} edited` : ''
+        ].filter(Boolean).join(' · ');
+    }
+
     // ============================================
-    // Summarize Action
+    // Follow-up Q&A
     // ============================================
-    async function handleSummarize() {
-        if (isProcessing) return;
+    function renderChat(entry, pendingAnswer = null) {
+        const hasContent = !!entry.content;
+        elements.chatForm.classList.toggle('hidden', !hasContent);
+        elements.chatUnavailable.classList.toggle('hidden', hasContent);
+
+        const messages = (entry.chat || []).map(message => `
+            <div class="chat-message ${message.role}">${escapeHtmlText(message.content)}</div>
+        `);
+
+        // The answer being streamed in
+        if (pendingAnswer !== null) {
+            messages.push(`
+                <div class="chat-message assistant">${escapeHtmlText(pendingAnswer)}<span class="stream-cursor"></span></div>
+            `);
+        }
+
+        elements.chatThread.innerHTML = messages.join('');
+        elements.chatSendBtn.disabled = isAsking;
+    }
+
+    async function handleAsk(e) {
+        e.preventDefault();
+        if (isAsking) return;
+
+        const entry = currentEntry;
+        const question = elements.chatInput.value.trim();
+        if (!entry || !entry.content || !question) return;
 
         const apiKey = elements.apiKeyInput.value.trim();
-        const customCode = elements.customCodeInput.value.trim();
+        const providerConfig = getProviderConfig();
 
-        if (!apiKey) {
-            // Show API form and highlight
-            elements.apiForm.classList.remove('hidden');
-            elements.apiKeyInput.focus();
+        if (!apiKey && providerConfig.type === 'openrouter') {
             showToast('Please enter your OpenRouter API key', 'error');
             return;
         }
 
-        // Save preferences
-        chrome.storage.local.set({
-            apiKey: apiKey,
-            customCode: customCode || null
-        });
-
-        isProcessing = true;
-        showView('loading');
-        // updateLoadingText('Extracting content...', ''); // Skeleton handles this visually now
-        elements.summarizeBtn.disabled = true;
+        entry.chat = entry.chat || [];
+        const thread = entry.chat.slice();
+        entry.chat.push({ role: 'user', content: question, createdAt: new Date().toISOString() });
+
+        isAsking = true;
+        elements.chatInput.value = '';
+        renderChat(entry, '');
+        views.detail.scrollTop = views.detail.scrollHeight;
+
+        const payload = {
+            action: 'ask',
+            question,
+            thread,
+            content: entry.content,
+            title: entry.title,
+            url: entry.url,
+            apiKey,
+            customCode: elements.customCodeInput.value.trim() || null,
+            provider: providerConfig,
+            outputLanguage: getOutputLanguage()
+        };
 
         try {
-            // Get current tab
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const response = elements.streamOutputInput.checked
+                ? await requestOverPort(payload, (message) => {
+                    if (message.stage === 'answer' && currentSummaryId === entry.id) {
+                        renderChat(entry, message.text);
+                        views.detail.scrollTop = views.detail.scrollHeight;
+                    }
+                })
+                : await requestSummary(payload);
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to answer the question');
+            }
+
+            entry.chat.push({ role: 'assistant', content: response.answer, createdAt: new Date().toISOString() });
+            await updateSummary(entry);
+        } catch (error) {
+            console.error('Question error:', error);
+            // Drop the unanswered question and give it back for another try
+            entry.chat.pop();
+            elements.chatInput.value = question;
+            showToast(error.message || 'Failed to answer the question', 'error');
+        } finally {
+            isAsking = false;
+            if (currentSummaryId === entry.id) {
+                renderChat(entry);
+            }
+        }
+    }
+
+    // ============================================
+    // Streaming Summary View
+    // ============================================
+    function applyStreamProgress(stream, progress) {
+        switch (progress.stage) {
+            case 'start':
+                // A (fallback) model is starting over - drop any partial output
+                stream.parts = [];
+                stream.combined = '';
+                stream.full = '';
+                break;
+            case 'chunk':
+                stream.parts[progress.index] = progress.text;
+                stream.total = progress.total;
+                break;
+            case 'reduce':
+                stream.level = progress.level;
+                stream.groups = progress.total;
+                break;
+            case 'combine':
+                stream.combined = progress.text;
+                break;
+            case 'full':
+                stream.full = progress.text;
+                break;
+        }
+        stream.stage = progress.stage;
+        stream.index = progress.index;
+    }
+
+    function renderStreamingSummary(stream) {
+        let status = 'Writing summary...';
+        if (stream.stage === 'chunk') {
+            status = `Summarizing part ${stream.index + 1} of ${stream.total}...`;
+        } else if (stream.stage === 'reduce') {
+            status = `Combining summaries (level ${stream.level}, group ${stream.index + 1} of ${stream.groups})...`;
+        } else if (stream.stage === 'combine') {
+            status = 'Combining parts...';
+        }
+
+        let body;
+        if (stream.combined) {
+            body = escapeHtmlText(stream.combined);
+        } else if (stream.full) {
+            body = escapeHtmlText(stream.full);
+        } else {
+            body = stream.parts.map((text, i) => `
+                <div class="stream-part">
+                    <div class="stream-part-label">Part ${i + 1} of ${stream.total}</div>
+                    ${escapeHtmlText(text)}
+                </div>
+            `).join('');
+        }
+
+        elements.detailContent.innerHTML = `
+            <div style="border-bottom: 1px solid #E5E7EB; padding-bottom: 16px; margin-bottom: 16px;">
+                <h2 style="font-size: 18px; font-weight: 600; margin-bottom: 8px; color: #111827;">${escapeHtml(stream.title)}</h2>
+                <div class="stream-status">${status}</div>
+            </div>
+        ` + body + '<span class="stream-cursor"></span>';
+
+        if (currentView !== 'detail') {
+            showView('detail');
+        }
+        // Follow the text as it grows
+        views.detail.scrollTop = views.detail.scrollHeight;
+    }
+
+    // Summarize over a long-lived port, rendering partial output as it arrives
+    function requestStreamingSummary(payload, page) {
+        const stream = { title: page.title || 'Untitled Page', parts: [], combined: '', full: '' };
+
+        return requestOverPort(payload, (progress) => {
+            applyStreamProgress(stream, progress);
+            if (progress.stage !== 'start') {
+                renderStreamingSummary(stream);
+            }
+        });
+    }
+
+    // Send a request over a long-lived port; progress messages go to onProgress
+    // and the promise resolves with the final response
+    function requestOverPort(payload, onProgress) {
+        return new Promise((resolve, reject) => {
+            const port = chrome.runtime.connect({ name: 'summarizeStream' });
+            let settled = false;
+
+            port.onMessage.addListener((message) => {
+                if (message.type === 'progress') {
+                    onProgress(message);
+                } else if (message.type === 'done') {
+                    settled = true;
+                    port.disconnect();
+                    resolve(message.response);
+                }
+            });
+
+            port.onDisconnect.addListener(() => {
+                if (!settled) {
+                    reject(new Error('Lost connection to the background service. Please try again.'));
+                }
+            });
+
+            port.postMessage(payload);
+        });
+    }
+
+    // Summarize with a single response, keeping the service worker alive meanwhile
+    async function requestSummary(payload) {
+        // KEEP ALIVE: Connect to background to keep service worker alive
+        let keepAlivePort;
+        try {
+            keepAlivePort = chrome.runtime.connect({ name: 'keepAlive' });
+            // Send periodic pings
+            const pingInterval = setInterval(() => {
+                chrome.runtime.sendMessage({ action: 'ping' }).catch(() => { });
+            }, 10000);
+
+            keepAlivePort.onDisconnect.addListener(() => {
+                clearInterval(pingInterval);
+            });
+        } catch (e) {
+            console.warn('Failed to establish keep-alive port', e);
+        }
+
+        try {
+            return await chrome.runtime.sendMessage(payload);
+        } finally {
+            // Disconnect keep-alive
+            if (keepAlivePort) {
+                keepAlivePort.disconnect();
+            }
+        }
+    }
+
+    // ============================================
+    // Summarize Action
+    // ============================================
+    // forceRefresh: summarise again even if the page is unchanged since a saved summary.
+    // previous: a history entry for this page - summarise only what changed since it.
+    async function handleSummarize({ forceRefresh = false, previous = null } = {}) {
+        if (isProcessing) return;
+
+        const apiKey = elements.apiKeyInput.value.trim();
+        const customCode = elements.customCodeInput.value.trim();
+        const providerConfig = getProviderConfig();
+
+        try {
+            if (!await ensureProviderPermission(providerConfig)) {
+                showToast('Access to the provider URL is required', 'error');
+                return;
+            }
+        } catch (error) {
+            showToast(error.message, 'error');
+            return;
+        }
+
+        if (!apiKey && providerConfig.type === 'openrouter') {
+            // Show API form and highlight
+            elements.apiForm.classList.remove('hidden');
+            elements.apiKeyInput.focus();
+            showToast('Please enter your OpenRouter API key', 'error');
+            return;
+        }
+
+        // Save preferences
+        chrome.storage.local.set({
+            apiKey: apiKey,
+            customCode: customCode || null
+        });
+
+        isProcessing = true;
+        showView('loading');
+        // updateLoadingText('Extracting content...', ''); // Skeleton handles this visually now
+        elements.summarizeBtn.disabled = true;
+
+        try {
+            // Get current tab
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
             if (!tab) {
                 throw new Error('Could not access current tab. Please refresh and try again.');
@@ -431,46 +1486,8 @@
                 throw new Error('Cannot summarize browser system pages.');
             }
 
-            // Inject content script
-            try {
-                await chrome.scripting.executeScript({
-                    target: { tabId: tab.id },
-                    files: ['content/content.js']
-                });
-            } catch (e) {
-                console.log('Content script injection note:', e.message);
-            }
-
-            await new Promise(resolve => setTimeout(resolve, 100));
-
-            // Extract content
-            let contentResponse;
-            try {
-                contentResponse = await chrome.tabs.sendMessage(tab.id, { action: 'extractContent' });
-            } catch (e) {
-                if (e.message.includes('Could not establish connection')) {
-                    console.log('Connection failed, re-injecting...');
-                    await chrome.scripting.executeScript({
-                        target: { tabId: tab.id },
-                        files: ['content/content.js']
-                    });
-
-                    // Wait with exponential backoff
-                    for (let i = 0; i < 3; i++) {
-                        await new Promise(resolve => setTimeout(resolve, 200 * (i + 1)));
-                        try {
-                            contentResponse = await chrome.tabs.sendMessage(tab.id, { action: 'extractContent' });
-                            if (contentResponse) break;
-                        } catch (err) {
-                            console.log(`Retry ${i + 1} failed`);
-                        }
-                    }
-                    if (!contentResponse) throw new Error('Failed to connect to page content script.');
-
-                } else {
-                    throw new Error('Failed to communicate with page. Please refresh and try again.');
-                }
-            }
+            // Extract content (the page and its same-origin frames)
+            const contentResponse = await TabContent.extract(tab.id);
 
             if (!contentResponse || !contentResponse.success) {
                 throw new Error(contentResponse?.error || 'Failed to extract page content.');
@@ -484,54 +1501,80 @@
             // const wordCount = contentResponse.wordCount || 0;
             // updateLoadingText(`Found ${wordCount.toLocaleString()} words...`);
 
-            // KEEP ALIVE: Connect to background to keep service worker alive
-            let keepAlivePort;
-            try {
-                keepAlivePort = chrome.runtime.connect({ name: 'keepAlive' });
-                // Send periodic pings
-                const pingInterval = setInterval(() => {
-                    chrome.runtime.sendMessage({ action: 'ping' }).catch(() => { });
-                }, 10000);
-
-                keepAlivePort.onDisconnect.addListener(() => {
-                    clearInterval(pingInterval);
-                });
-            } catch (e) {
-                console.warn('Failed to establish keep-alive port', e);
-            }
-
             // Send to background for summarization
-            const summaryResponse = await chrome.runtime.sendMessage({
-                action: 'summarize',
+            const payload = {
+                action: previous ? 'summarizeChanges' : 'summarize',
                 text: contentResponse.content,
                 apiKey: apiKey,
-                customCode: customCode || null
-            });
-
-            // Disconnect keep-alive
-            if (keepAlivePort) {
-                keepAlivePort.disconnect();
+                customCode: customCode || null,
+                concurrency: getChunkConcurrency(),
+                provider: providerConfig,
+                styleId: elements.styleSelect.value || null,
+                outputLanguage: getOutputLanguage(),
+                sourceLanguage: contentResponse.language?.code || null,
+                title: contentResponse.title,
+                url: contentResponse.url,
+                forceRefresh
+            };
+            if (previous) {
+                payload.previousText = previous.content;
             }
 
+            const summaryResponse = elements.streamOutputInput.checked
+                ? await requestStreamingSummary(payload, contentResponse)
+                : await requestSummary(payload);
+
             if (!summaryResponse || !summaryResponse.success) {
                 throw new Error(summaryResponse?.error || 'Failed to summarize content');
             }
 
+            if (summaryResponse.unchanged) {
+                isProcessing = false;
+                await openSummary(previous.id);
+                showToast(`No changes since ${new Date(previous.createdAt).toLocaleDateString()}`);
+                return;
+            }
+
+            // Unchanged page: show the saved summary rather than a duplicate
+            const cachedEntry = summaryResponse.cached && await HistoryDB.get(summaryResponse.cachedEntryId);
+            if (cachedEntry) {
+                cachedSummaryId = cachedEntry.id;
+                isProcessing = false;
+                await openSummary(cachedEntry.id);
+                showToast('Page unchanged - showing the saved summary');
+                return;
+            }
+            cachedSummaryId = null;
+
             // Save to history
             const entry = await saveSummary({
                 title: contentResponse.title,
                 url: contentResponse.url,
                 summary: summaryResponse.summary,
+                content: contentResponse.content,
                 wordCount: contentResponse.wordCount,
                 charCount: contentResponse.charCount,
                 sourceElement: contentResponse.sourceElement,
-                modelInfo: summaryResponse.modelInfo
+                modelInfo: summaryResponse.modelInfo,
+                style: summaryResponse.style,
+                sourceLanguage: summaryResponse.language?.source || contentResponse.language?.code,
+                outputLanguage: summaryResponse.language?.output,
+                contentHash: summaryResponse.contentHash,
+                sourceType: previous ? 'changes' : (contentResponse.sourceType || 'page'),
+                pageCount: contentResponse.pageCount,
+                articlePages: contentResponse.articlePages,
+                previousId: previous?.id,
+                changes: summaryResponse.changes
             });
+            await updatePreviousEntry();
 
-            // Refresh history and open the new summary
+            // Refresh history and open the new summary (with its actions enabled again)
+            isProcessing = false;
             renderHistory();
             openSummary(entry.id);
-            showToast('Summary created successfully!');
+            showToast(contentResponse.settle?.stillChanging
+                ? 'Summary created - the page was still loading, so some content may be missing'
+                : 'Summary created successfully!');
 
         } catch (error) {
             console.error('Summarization error:', error);
@@ -544,72 +1587,740 @@
         }
     }
 
+    // Offer "What changed" when the active tab's URL was summarised before with its text saved.
+    // Change summaries count too: they keep the full page text they were made from.
+    async function updatePreviousEntry() {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const entries = tab?.url ? await HistoryDB.findByUrl(tab.url) : [];
+        previousEntry = entries.find(entry => entry.content && ['page', 'pdf', 'changes'].includes(entry.sourceType || 'page')) || null;
+
+        elements.changesBtn.classList.toggle('hidden', !previousEntry);
+        if (previousEntry) {
+            elements.changesBtn.title = `Summarise only what changed since ${new Date(previousEntry.createdAt).toLocaleString()}`;
+        }
+    }
+
+    // ============================================
+    // Batch Summaries
+    // ============================================
+
+    // Batch targets: the whole window, or one of its tab groups
+    async function renderBatchScopes() {
+        const currentWindow = await chrome.windows.getCurrent();
+        const tabs = await chrome.tabs.query({ windowId: currentWindow.id });
+        const groups = await chrome.tabGroups.query({ windowId: currentWindow.id });
+
+        const options = [`<option value="window:${currentWindow.id}">All tabs in this window (${tabs.length})</option>`];
+        for (const group of groups) {
+            const count = tabs.filter(tab => tab.groupId === group.id).length;
+            const name = group.title || `Unnamed ${group.color} group`;
+            options.push(`<option value="group:${group.id}">Group: ${escapeHtml(name)} (${count})</option>`);
+        }
+        elements.batchScope.innerHTML = options.join('');
+    }
+
+    // The service worker runs the batch, so the popup can be closed meanwhile
+    async function handleBatchSummarize() {
+        if (!elements.apiKeyInput.value.trim() && elements.providerSelect.value === 'openrouter') {
+            elements.apiForm.classList.remove('hidden');
+            elements.apiKeyInput.focus();
+            showToast('Please enter your OpenRouter API key', 'error');
+            return;
+        }
+        savePreferences();
+
+        const [kind, id] = elements.batchScope.value.split(':');
+        const request = { action: 'summarizeTabs' };
+        request[kind === 'group' ? 'groupId' : 'windowId'] = Number(id);
+
+        const response = await chrome.runtime.sendMessage(request);
+        if (response?.success) {
+            showToast('Summarising tabs - a notification appears when the digest is ready');
+        } else {
+            showToast(response?.error || 'Could not start the batch', 'error');
+        }
+    }
+
     // ============================================
-    // Export Action
+    // Export
     // ============================================
-    async function handleExport() {
-        const entry = summaryHistory.find(e => e.id === currentSummaryId);
+    const EXPORT_FORMATS = {
+        md: { name: 'Markdown', mime: 'text/markdown', description: 'Markdown files' },
+        html: { name: 'HTML', mime: 'text/html', description: 'HTML files' },
+        json: { name: 'JSON', mime: 'application/json', description: 'JSON files' },
+        txt: { name: 'Plain text', mime: 'text/plain', description: 'Text files' }
+    };
+
+    // Export the open summary
+    function handleExport() {
+        const entry = currentEntry;
         if (!entry) {
             showToast('No summary to export', 'error');
             return;
         }
+        showExportDialog([entry]);
+    }
+
+    // Export all of history, or the entries matching the dialog's filters
+    async function handleExportHistory() {
+        const entries = await HistoryDB.getAll();
+        if (entries.length === 0) return;
+        showExportDialog(entries, true);
+    }
+
+    async function showExportDialog(entries, bulk = false) {
+        const { exportFormat } = await chrome.storage.local.get('exportFormat');
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal modal-form">
+                <div class="modal-title">${bulk ? 'Export History' : 'Export Summary'}</div>
+                <div class="form-group">
+                    <label for="exportFormat">Format</label>
+                    <select id="exportFormat">
+                        ${Object.entries(EXPORT_FORMATS).map(([id, format]) => `<option value="${id}">${format.name}</option>`).join('')}
+                    </select>
+                </div>
+                ${bulk ? `
+                <div class="form-group">
+                    <label for="exportFilter">Only entries matching (title, site or URL)</label>
+                    <input type="text" id="exportFilter" placeholder="All entries" autocomplete="off">
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="exportFrom">From</label>
+                        <input type="date" id="exportFrom">
+                    </div>
+                    <div class="form-group">
+                        <label for="exportTo">To</label>
+                        <input type="date" id="exportTo">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="exportPackaging">Save as</label>
+                    <select id="exportPackaging">
+                        <option value="single">One file</option>
+                        <option value="zip">Zip with one file per summary</option>
+                    </select>
+                </div>
+                <small class="form-hint" id="exportCount"></small>` : ''}
+                <div class="modal-actions">
+                    <button class="btn btn-secondary" id="exportCancel">Cancel</button>
+                    <button class="btn btn-primary" id="exportConfirm">Export</button>
+                </div>
+            </div>
+        `;
+
+        const formatSelect = overlay.querySelector('#exportFormat');
+        formatSelect.value = EXPORT_FORMATS[exportFormat] ? exportFormat : 'md';
+
+        const getSelected = () => {
+            if (!bulk) return entries;
+            const query = overlay.querySelector('#exportFilter').value.trim().toLowerCase();
+            const from = overlay.querySelector('#exportFrom').value;
+            const to = overlay.querySelector('#exportTo').value;
+            return entries.filter(entry => {
+                const day = entry.createdAt.slice(0, 10);
+                if (from && day < from) return false;
+                if (to && day > to) return false;
+                return !query || [entry.title, entry.hostname, entry.url]
+                    .some(field => (field || '').toLowerCase().includes(query));
+            });
+        };
 
+        const updateCount = () => {
+            overlay.querySelector('#exportCount').textContent = `${getSelected().length} of ${entries.length} summaries`;
+        };
+
+        document.body.appendChild(overlay);
+
+        if (bulk) {
+            overlay.querySelectorAll('#exportFilter, #exportFrom, #exportTo')
+                .forEach(input => input.addEventListener('input', updateCount));
+            updateCount();
+        }
+
+        const cleanup = () => overlay.remove();
+        overlay.querySelector('#exportCancel').addEventListener('click', cleanup);
+        overlay.querySelector('#exportConfirm').addEventListener('click', async () => {
+            const selected = getSelected();
+            if (selected.length === 0) {
+                showToast('No summaries match these filters', 'error');
+                return;
+            }
+
+            const format = formatSelect.value;
+            const packaging = bulk ? overlay.querySelector('#exportPackaging').value : 'single';
+            chrome.storage.local.set({ exportFormat: format });
+            cleanup();
+            await exportEntries(selected, format, packaging);
+        });
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) cleanup();
+        });
+    }
+
+    async function exportEntries(entries, format, packaging) {
         try {
-            const sanitizedTitle = sanitizeFilename(entry.title || 'summary');
-            const filename = `${sanitizedTitle}.txt`;
+            const { mime } = EXPORT_FORMATS[format];
+            const dateStamp = new Date().toISOString().slice(0, 10);
+
+            if (packaging === 'zip') {
+                const usedNames = new Set();
+                const files = entries.map(entry => {
+                    const base = `${entry.createdAt.slice(0, 10)}_${sanitizeFilename(entry.title || 'summary')}`;
+                    let name = `${base}.${format}`;
+                    for (let n = 2; usedNames.has(name); n++) {
+                        name = `${base}_${n}.${format}`;
+                    }
+                    usedNames.add(name);
+                    return { name, content: formatEntries([entry], format) };
+                });
+                const zip = buildZip(files);
+                await saveExportFile(zip, `page-summaries_${dateStamp}.zip`, 'application/zip', 'Zip archives', 'zip');
+                return;
+            }
+
+            const filename = entries.length === 1
+                ? `${sanitizeFilename(entries[0].title || 'summary')}.${format}`
+                : `page-summaries_${dateStamp}.${format}`;
+            const blob = new Blob([formatEntries(entries, format)], { type: mime });
+            await saveExportFile(blob, filename, mime, EXPORT_FORMATS[format].description, format);
+        } catch (error) {
+            console.error('Export error:', error);
+            showToast('Failed to export file', 'error');
+        }
+    }
+
+    // Save with the File System Access API, falling back to the Downloads API
+    async function saveExportFile(blob, filename, mime, description, extension) {
+        if ('showSaveFilePicker' in window) {
+            try {
+                const fileHandle = await window.showSaveFilePicker({
+                    suggestedName: filename,
+                    types: [{
+                        description,
+                        accept: { [mime]: [`.${extension}`] }
+                    }]
+                });
+
+                const writable = await fileHandle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+
+                showToast('File saved successfully!');
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+            }
+        }
+
+        const url = URL.createObjectURL(blob);
+
+        await chrome.downloads.download({
+            url: url,
+            filename: filename,
+            saveAs: true
+        });
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showToast('File download started!');
+    }
 
-            const fileContent = `Page Summary
+    function formatEntries(entries, format) {
+        switch (format) {
+            case 'md':
+                return entries.length === 1 ? formatMarkdown(entries[0]) : formatMarkdownCollection(entries);
+            case 'html':
+                return formatHtmlDocument(entries);
+            case 'json':
+                return JSON.stringify({
+                    exportedAt: new Date().toISOString(),
+                    count: entries.length,
+                    entries
+                }, null, 2);
+            default:
+                return entries.map(formatPlainText).join('\n\n');
+        }
+    }
+
+    function formatPlainText(entry) {
+        return `Page Summary
 ${'='.repeat(50)}
 
 Title: ${entry.title}
-URL: ${entry.url}
-Date: ${new Date(entry.createdAt).toLocaleString()}
+${entry.url ? `URL: ${entry.url}\n` : ''}Date: ${new Date(entry.createdAt).toLocaleString()}
 ${entry.modelInfo?.name ? `Model: ${entry.modelInfo.name}` : ''}
 
 ${'='.repeat(50)}
 
 ${entry.summary}
 `;
+    }
 
-            // Try File System Access API first
-            if ('showSaveFilePicker' in window) {
-                try {
-                    const fileHandle = await window.showSaveFilePicker({
-                        suggestedName: filename,
-                        types: [{
-                            description: 'Text files',
-                            accept: { 'text/plain': ['.txt'] }
-                        }]
-                    });
-
-                    const writable = await fileHandle.createWritable();
-                    await writable.write(fileContent);
-                    await writable.close();
-
-                    showToast('File saved successfully!');
-                    return;
-                } catch (error) {
-                    if (error.name === 'AbortError') return;
-                }
+    // Quote a YAML scalar when it could be misread (colons, leading symbols, etc.)
+    function yamlValue(value) {
+        const text = String(value);
+        return /^[\w][\w .,/()'-]*$/.test(text) && !/^(true|false|null|yes|no|~)$/i.test(text)
+            ? text
+            : JSON.stringify(text);
+    }
+
+    function getExportMetadata(entry) {
+        return {
+            title: entry.title,
+            url: entry.url,
+            site: entry.hostname,
+            date: entry.createdAt,
+            model: entry.modelInfo?.id,
+            provider: entry.modelInfo?.apiProvider || entry.modelInfo?.provider,
+            style: entry.style?.name,
+            language: entry.outputLanguage || entry.sourceLanguage,
+            source: entry.sourceType,
+            pages: entry.pageCount,
+            words: entry.wordCount
+        };
+    }
+
+    function formatChatMarkdown(entry) {
+        if (!entry.chat?.length) return '';
+        const turns = entry.chat.map(message => message.role === 'user'
+            ? `**Q:** ${message.content}`
+            : `**A:** ${message.content}`);
+        return `\n\n## Questions\n\n${turns.join('\n\n')}`;
+    }
+
+    // One summary: YAML front-matter followed by the summary
+    function formatMarkdown(entry) {
+        const frontMatter = Object.entries(getExportMetadata(entry))
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([key, value]) => `${key}: ${yamlValue(value)}`)
+            .join('\n');
+
+        return `---\n${frontMatter}\n---\n\n# ${entry.title}\n\n${entry.summary}${formatChatMarkdown(entry)}\n`;
+    }
+
+    // Several summaries in one file: front-matter describes the export, each entry gets a section
+    function formatMarkdownCollection(entries) {
+        const sections = entries.map(entry => {
+            const meta = [
+                new Date(entry.createdAt).toLocaleString(),
+                entry.modelInfo?.name,
+                entry.style?.name
+            ].filter(Boolean).join(' · ');
+            const heading = entry.url ? `[${entry.title}](${entry.url})` : entry.title;
+            return `## ${heading}\n\n_${meta}_\n\n${entry.summary}${formatChatMarkdown(entry).replace('## Questions', '### Questions')}`;
+        });
+
+        return `---\ntitle: Page Summariser export\nexported: ${new Date().toISOString()}\ncount: ${entries.length}\n---\n\n${sections.join('\n\n---\n\n')}\n`;
+    }
+
+    // Standalone HTML page with inline styles
+    function formatHtmlDocument(entries) {
+        const articles = entries.map(entry => {
+            const meta = [
+                entry.url ? `<a href="${escapeHtml(entry.url)}">${escapeHtml(entry.hostname)}</a>` : '',
+                escapeHtml(new Date(entry.createdAt).toLocaleString()),
+                escapeHtml(entry.modelInfo?.name),
+                escapeHtml(entry.style?.name)
+            ].filter(Boolean).join(' · ');
+            const chat = (entry.chat || []).map(message =>
+                `<p class="${message.role}"><strong>${message.role === 'user' ? 'Q' : 'A'}:</strong> ${escapeHtmlText(message.content)}</p>`
+            ).join('');
+
+            return `<article>
+<h2>${escapeHtml(entry.title)}</h2>
+<p class="meta">${meta}</p>
+<div class="summary">${escapeHtmlText(entry.summary)}</div>
+${chat ? `<h3>Questions</h3>${chat}` : ''}
+</article>`;
+        }).join('\n');
+
+        const title = entries.length === 1 ? entries[0].title : `Page summaries (${entries.length})`;
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #111827; line-height: 1.6; }
+article { border-bottom: 1px solid #E5E7EB; padding-bottom: 24px; margin-bottom: 24px; }
+h2 { margin-bottom: 4px; }
+.meta { color: #6B7280; font-size: 13px; margin-top: 0; }
+a { color: #6366F1; }
+.assistant { color: #374151; }
+</style>
+</head>
+<body>
+${articles}
+</body>
+</html>
+`;
+    }
+
+    // Minimal zip writer (stored, no compression) - summaries are small text files
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
             }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
 
-            // Fallback to Downloads API
-            const blob = new Blob([fileContent], { type: 'text/plain' });
-            const url = URL.createObjectURL(blob);
+    function buildZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = crc32(data);
+
+            // Local file header; flag 0x0800 marks UTF-8 names
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local, name, data);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, dosTime, true);
+            header.setUint16(14, dosDate, true);
+            header.setUint32(16, crc, true);
+            header.setUint32(20, data.length, true);
+            header.setUint32(24, data.length, true);
+            header.setUint16(28, name.length, true);
+            header.setUint32(42, offset, true);
+            central.push(header, name);
+
+            offset += 30 + name.length + data.length;
+        }
 
-            await chrome.downloads.download({
-                url: url,
-                filename: filename,
-                saveAs: true
-            });
+        const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
 
-            setTimeout(() => URL.revokeObjectURL(url), 1000);
-            showToast('File download started!');
+    // ============================================
+    // Backup & Import
+    // ============================================
+    // Backups are versioned so later releases can still read older files.
+    // Version 1: { format, version, exportedAt, extensionVersion, entries }.
+    // Plain history exports ({ entries }) and bare arrays are accepted as well.
+    const BACKUP_FORMAT = 'page-summariser-backup';
+    const BACKUP_VERSION = 1;
+
+    async function handleBackup() {
+        const backup = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            extensionVersion: chrome.runtime.getManifest().version,
+            entries: await HistoryDB.getAll()
+        };
 
+        try {
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const filename = `page-summariser-backup_${new Date().toISOString().slice(0, 10)}.json`;
+            await saveExportFile(blob, filename, 'application/json', 'JSON files', 'json');
         } catch (error) {
-            console.error('Export error:', error);
-            showToast('Failed to export file', 'error');
+            console.error('Backup error:', error);
+            showToast('Failed to save backup', 'error');
+        }
+    }
+
+    async function handleImportFile(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        let entries;
+        try {
+            entries = parseBackup(await file.text());
+        } catch (error) {
+            showToast(error.message, 'error');
+            return;
+        }
+
+        showImportDialog(entries);
+    }
+
+    // Validate a backup file and return its raw entries
+    function parseBackup(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error('This file is not valid JSON.');
+        }
+
+        if (Array.isArray(data)) return data;
+
+        if (!data || typeof data !== 'object' || !Array.isArray(data.entries)) {
+            throw new Error('This file is not a Page Summariser backup.');
+        }
+        if (data.format === BACKUP_FORMAT && data.version > BACKUP_VERSION) {
+            throw new Error('This backup was made by a newer version of the extension. Please update first.');
+        }
+        return data.entries;
+    }
+
+    // Ids are inserted into markup (data-id attributes), so imported ones are
+    // limited to the characters the extension's own ids use
+    const ENTRY_ID_PATTERN = /^[\w.:-]{1,100}$/;
+    const SOURCE_TYPES = ['page', 'selection', 'link', 'digest', 'changes', 'pdf'];
+
+    // Fields of saved model details, with their types; anything else is dropped
+    const MODEL_INFO_FIELDS = {
+        id: 'string', name: 'string', provider: 'string', apiProvider: 'string', contextWindow: 'string',
+        contentTokens: 'number', apiCalls: 'number', inputTokens: 'number', outputTokens: 'number',
+        estimatedCost: 'number', chunksUsed: 'number', reduceLevels: 'number', reduceCalls: 'number',
+        cachedCalls: 'number', fallbackUsed: 'boolean'
+    };
+
+    // The fields of value that have the given types
+    function pickTyped(value, fields) {
+        if (!value || typeof value !== 'object') return null;
+        const picked = {};
+        for (const [key, type] of Object.entries(fields)) {
+            const field = value[key];
+            if (type === 'number' ? Number.isFinite(field) : typeof field === type) picked[key] = field;
+        }
+        return picked;
+    }
+
+    // Bring an entry from any backup version to the current saveSummary shape.
+    // Only known fields of the expected type are taken from the file: a backup
+    // is untrusted input that ends up in the popup's markup. The content hash
+    // is left out so an imported entry is never served as a cached summary.
+    function normalizeImportedEntry(raw, index) {
+        if (!raw || typeof raw !== 'object' || typeof raw.summary !== 'string' || !raw.summary.trim()) {
+            return null;
+        }
+
+        // Only digests have no URL
+        let url = null;
+        if (raw.url || raw.sourceType !== 'digest') {
+            try {
+                url = new URL(raw.url);
+            } catch {
+                return null;
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        }
+
+        const createdAt = new Date(raw.createdAt || raw.date || Date.now());
+        const asText = (value) => typeof value === 'string' && value ? value : null;
+        const asCount = (value) => Number.isInteger(value) && value > 0 ? value : undefined;
+        const asId = (value) => (typeof value === 'string' || Number.isInteger(value)) && ENTRY_ID_PATTERN.test(String(value))
+            ? String(value)
+            : null;
+
+        const modelInfo = pickTyped(raw.modelInfo, MODEL_INFO_FIELDS);
+        if (modelInfo) {
+            const pricing = pickTyped(raw.modelInfo.pricing, { prompt: 'number', completion: 'number' });
+            modelInfo.pricing = pricing && 'prompt' in pricing && 'completion' in pricing ? pricing : null;
+        }
+
+        const entry = {
+            id: asId(raw.id) || `imported-${Date.now()}-${index}`,
+            title: asText(raw.title) || 'Untitled Page',
+            url: url?.href || null,
+            hostname: url?.hostname || null,
+            favicon: url?.hostname ? `https://www.google.com/s2/favicons?domain=${url.hostname}&sz=32` : null,
+            summary: raw.summary,
+            content: asText(raw.content),
+            chat: Array.isArray(raw.chat)
+                ? raw.chat
+                    .filter(m => m && ['user', 'assistant'].includes(m.role) && typeof m.content === 'string')
+                    .map(m => ({ role: m.role, content: m.content, createdAt: asText(m.createdAt) }))
+                : [],
+            wordCount: Number.isFinite(raw.wordCount) ? raw.wordCount : undefined,
+            charCount: Number.isFinite(raw.charCount) ? raw.charCount : undefined,
+            sourceElement: asText(raw.sourceElement),
+            sourceType: SOURCE_TYPES.includes(raw.sourceType) ? raw.sourceType : 'page',
+            modelInfo,
+            style: typeof raw.style === 'string'
+                ? { id: null, name: raw.style }
+                : pickTyped(raw.style, { id: 'string', name: 'string' }),
+            sourceLanguage: asText(raw.sourceLanguage),
+            outputLanguage: asText(raw.outputLanguage),
+            createdAt: isNaN(createdAt) ? new Date().toISOString() : createdAt.toISOString()
+        };
+
+        const pageCount = asCount(raw.pageCount);
+        if (pageCount) entry.pageCount = pageCount;
+        const articlePages = asCount(raw.articlePages);
+        if (articlePages) entry.articlePages = articlePages;
+        if (Array.isArray(raw.sources)) {
+            entry.sources = raw.sources.map(asId).filter(Boolean);
+        }
+        if (asId(raw.previousId)) {
+            entry.previousId = asId(raw.previousId);
+            entry.changes = pickTyped(raw.changes, { added: 'number', removed: 'number', edited: 'number' });
         }
+        return entry;
+    }
+
+    function showImportDialog(rawEntries) {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal modal-form">
+                <div class="modal-title">Import Backup</div>
+                <p class="form-hint">${rawEntries.length} entries in this file. Entries already in your history are skipped.</p>
+                <div class="form-group">
+                    <label for="importConflict">When an entry differs from the one you have</label>
+                    <select id="importConflict">
+                        <option value="keep">Keep mine</option>
+                        <option value="replace">Use the imported one</option>
+                        <option value="both">Keep both</option>
+                    </select>
+                </div>
+                <div class="modal-actions">
+                    <button class="btn btn-secondary" id="importCancel">Cancel</button>
+                    <button class="btn btn-primary" id="importConfirm">Import</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+
+        const cleanup = () => overlay.remove();
+        overlay.querySelector('#importCancel').addEventListener('click', cleanup);
+        overlay.querySelector('#importConfirm').addEventListener('click', async () => {
+            const onConflict = overlay.querySelector('#importConflict').value;
+            cleanup();
+
+            try {
+                const { report, changed } = mergeImportedEntries(await HistoryDB.getAll(), rawEntries, onConflict);
+                if (changed.length > 0) {
+                    await HistoryDB.putMany(changed);
+                }
+                await reloadHistory();
+                updateStorageUsage();
+                showImportReport(report);
+            } catch (error) {
+                console.error('Import error:', error);
+                showToast('Failed to import backup', 'error');
+            }
+        });
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) cleanup();
+        });
+    }
+
+    // Merge by id, then by URL + creation time (the same summary saved twice).
+    // Returns counts for the report and the entries to write.
+    function mergeImportedEntries(existingEntries, rawEntries, onConflict) {
+        const report = { added: 0, skipped: 0, conflicts: 0, invalid: 0 };
+        const byId = new Map(existingEntries.map(entry => [entry.id, entry]));
+        const byUrlAndDate = new Map(existingEntries.map(entry => [`${entry.url} ${entry.createdAt}`, entry]));
+        const changed = [];
+
+        const add = (entry) => {
+            byId.set(entry.id, entry);
+            // A "keep both" copy leaves the original as the entry for its URL and date
+            const key = `${entry.url} ${entry.createdAt}`;
+            if (!byUrlAndDate.has(key) || byUrlAndDate.get(key).id === entry.id) byUrlAndDate.set(key, entry);
+            changed.push(entry);
+        };
+        const isSameEntry = (existing, entry) =>
+            existing.summary === entry.summary && (existing.chat || []).length >= entry.chat.length;
+
+        // "Keep both" copies of an entry: "<id>-imported", "<id>-imported-2", ...
+        const importedCopies = (id) => Array.from(byId.values())
+            .filter(other => other.id === `${id}-imported` || other.id.startsWith(`${id}-imported-`));
+        const nextCopyId = (id) => {
+            let copyId = `${id}-imported`;
+            for (let n = 2; byId.has(copyId); n++) copyId = `${id}-imported-${n}`;
+            return copyId;
+        };
+
+        rawEntries.forEach((raw, index) => {
+            const entry = normalizeImportedEntry(raw, index);
+            if (!entry) {
+                report.invalid++;
+                return;
+            }
+
+            const existing = byId.get(entry.id) || byUrlAndDate.get(`${entry.url} ${entry.createdAt}`);
+
+            if (!existing) {
+                add(entry);
+                report.added++;
+                return;
+            }
+
+            // Already imported as a copy by an earlier "keep both" counts as present too
+            if (isSameEntry(existing, entry) || importedCopies(existing.id).some(copy => isSameEntry(copy, entry))) {
+                report.skipped++;
+                return;
+            }
+
+            report.conflicts++;
+            if (onConflict === 'replace') {
+                add({ ...entry, id: existing.id });
+            } else if (onConflict === 'both') {
+                add({ ...entry, id: nextCopyId(existing.id) });
+            }
+        });
+
+        return { report, changed };
+    }
+
+    function showImportReport(report) {
+        const lines = [
+            `<strong>${report.added}</strong> added`,
+            `<strong>${report.skipped}</strong> already in history`,
+            `<strong>${report.conflicts}</strong> conflicting`
+        ];
+        if (report.invalid) lines.push(`<strong>${report.invalid}</strong> unreadable entries ignored`);
+
+        showConfirmModal({
+            icon: '📥',
+            title: 'Import Complete',
+            message: lines.join('<br>'),
+            confirmText: 'OK',
+            onConfirm: () => { }
+        });
     }
 
     // ============================================
@@ -618,7 +2329,7 @@ ${entry.summary}
     async function handleDeleteEntry() {
         if (!currentSummaryId) return;
 
-        const entry = summaryHistory.find(e => e.id === currentSummaryId);
+        const entry = currentEntry;
         if (!entry) return;
 
         showConfirmModal({
@@ -637,12 +2348,13 @@ ${entry.summary}
     }
 
     async function handleClearHistory() {
-        if (summaryHistory.length === 0) return;
+        const total = await HistoryDB.count();
+        if (total === 0) return;
 
         showConfirmModal({
             icon: '⚠️',
             title: 'Clear All History?',
-            message: `This will permanently delete all ${summaryHistory.length} summaries.`,
+            message: `This will permanently delete all ${total.toLocaleString()} summaries.`,
             confirmText: 'Clear All',
             confirmClass: 'btn-ghost-danger',
             onConfirm: async () => {
@@ -710,11 +2422,12 @@ ${entry.summary}
     // ============================================
     // Utilities
     // ============================================
+    // Safe in text and in quoted attribute values
     function escapeHtml(text) {
         if (!text) return '';
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     // For large text content, we might not want to escape everything if we trust the source,
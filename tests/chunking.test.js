@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { splitIntoChunks, estimateTokens } = load('background/service-worker.js', ['CJK_PATTERN', 'estimateTokens', 'splitIntoChunks'], {
+    log: () => { }
+});
+
+const sentence = 'The quick brown fox jumps over the lazy dog near the river bank.';
+
+// Text without its whitespace, to compare what went in with what came out
+const squash = text => text.replace(/\s+/g, '');
+
+test('keeps short text in one chunk', () => {
+    assert.deepStrictEqual(splitIntoChunks(`  ${sentence}  `, 1000), [sentence]);
+});
+
+test('splits long text at sentence ends within the token budget', () => {
+    const text = Array(200).fill(sentence).join(' ');
+    const chunks = splitIntoChunks(text, 500);
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.endsWith('.'), `chunk ends mid-sentence: ...${chunk.slice(-20)}`);
+        assert.ok(estimateTokens(chunk) <= 500, `chunk of ${estimateTokens(chunk)} tokens`);
+    }
+    assert.strictEqual(squash(chunks.join(' ')), squash(text));
+});
+
+test('prefers page boundaries to sentence ends', () => {
+    const page = Array(30).fill(sentence).join(' ');
+    const text = [1, 2, 3, 4].map(n => `[Page ${n}]\n${page}`).join('\n\n');
+    const chunks = splitIntoChunks(text, estimateTokens(page) * 1.5);
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.match(chunk, /^\[Page \d+\]\n/));
+});
+
+test('splits text without spaces or sentences at the chunk size', () => {
+    const text = 'x'.repeat(5000);
+    const chunks = splitIntoChunks(text, 100);
+
+    assert.ok(chunks.length > 1);
+    assert.strictEqual(chunks.join(''), text);
+});
+
+test('sizes chunks of CJK text by its own token density', () => {
+    const text = '日本語の文章です。'.repeat(400);
+    const chunks = splitIntoChunks(text, 1000);
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(estimateTokens(chunk) <= 1000, `chunk of ${estimateTokens(chunk)} tokens`));
+    assert.strictEqual(chunks.join(''), text);
+});
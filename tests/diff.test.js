@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const CONFIG = {
+    MAX_DIFF_CELLS: 4000000,
+    EDIT_SIMILARITY: 0.5
+};
+
+const { diffParagraphs, formatChanges } = load('background/service-worker.js',
+    ['splitParagraphs', 'diffParagraphs', 'alignParagraphs', 'pairEdits', 'paragraphSimilarity', 'formatChanges'], {
+        CONFIG
+    });
+
+const before = [
+    'Intro paragraph about the product launch.',
+    'The price will be announced next week by the company.',
+    'Shipping starts in March for all regions.',
+    'Contact the press office for details.'
+].join('\n');
+
+test('finds no changes in the same text, whitespace aside', () => {
+    assert.deepStrictEqual(diffParagraphs(before, `\n${before.replace(/ /g, '  ')}\n\n`), []);
+});
+
+test('reports added and removed paragraphs in page order', () => {
+    const after = [
+        'Intro paragraph about the product launch.',
+        'Breaking: the launch event is sold out.',
+        'The price will be announced next week by the company.',
+        'Contact the press office for details.'
+    ].join('\n');
+
+    assert.deepStrictEqual(diffParagraphs(before, after), [
+        { type: 'added', after: 'Breaking: the launch event is sold out.' },
+        { type: 'removed', before: 'Shipping starts in March for all regions.' }
+    ]);
+});
+
+test('pairs a removed paragraph with a similar added one as an edit', () => {
+    const after = before.replace('announced next week', 'announced tomorrow');
+
+    assert.deepStrictEqual(diffParagraphs(before, after), [{
+        type: 'edited',
+        before: 'The price will be announced next week by the company.',
+        after: 'The price will be announced tomorrow by the company.'
+    }]);
+});
+
+test('treats a rewrite with little in common as removed and added', () => {
+    const after = before.replace('Shipping starts in March for all regions.', 'Pre-orders open today online.');
+
+    assert.deepStrictEqual(diffParagraphs(before, after).map(change => change.type), ['removed', 'added']);
+});
+
+test('diffs against nothing saved before', () => {
+    assert.deepStrictEqual(diffParagraphs('', 'One.\nTwo.'), [
+        { type: 'added', after: 'One.' },
+        { type: 'added', after: 'Two.' }
+    ]);
+});
+
+test('falls back to set membership for rewrites too large to align', () => {
+    const previous = Array.from({ length: 3000 }, (_, i) => `Old paragraph number ${i}.`);
+    const current = [...previous.slice(0, 10), 'A new paragraph.', ...previous.slice(10, 2990)].reverse();
+    const changes = diffParagraphs(previous.join('\n'), current.join('\n'));
+
+    assert.deepStrictEqual(changes.filter(change => change.type === 'added').map(change => change.after), ['A new paragraph.']);
+    assert.strictEqual(changes.filter(change => change.type === 'removed').length, 10);
+});
+
+test('formats the changes as marked blocks', () => {
+    assert.strictEqual(formatChanges([
+        { type: 'added', after: 'New.' },
+        { type: 'removed', before: 'Old.' },
+        { type: 'edited', before: 'A b.', after: 'A c.' }
+    ]), '[ADDED]\nNew.\n\n[REMOVED]\nOld.\n\n[EDITED]\nBefore: A b.\nAfter: A c.');
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { normalizeImportedEntry, mergeImportedEntries } = load('popup/popup.js', [
+    'ENTRY_ID_PATTERN',
+    'SOURCE_TYPES',
+    'MODEL_INFO_FIELDS',
+    'pickTyped',
+    'normalizeImportedEntry',
+    'mergeImportedEntries'
+]);
+
+function rawEntry(fields = {}) {
+    return {
+        id: '1700000000000',
+        title: 'Example',
+        url: 'https://example.com/article',
+        summary: 'A summary',
+        createdAt: '2026-01-02T03:04:05.000Z',
+        ...fields
+    };
+}
+
+test('keeps only known fields of the expected type', () => {
+    const entry = normalizeImportedEntry(rawEntry({
+        injected: '<img src=x onerror=alert(1)>',
+        contentHash: 'abc',
+        articlePages: '<b>3</b>',
+        pageCount: 12,
+        sources: 'not a list',
+        modelInfo: { name: 'Model', cachedCalls: '<i>', pricing: { prompt: 1, completion: 2 }, extra: 1 },
+        chat: [{ role: 'user', content: 'Q', onclick: 'x' }, { role: 'system', content: 'S' }]
+    }), 0);
+
+    assert.strictEqual(entry.injected, undefined);
+    assert.strictEqual(entry.contentHash, undefined);
+    assert.strictEqual(entry.articlePages, undefined);
+    assert.strictEqual(entry.pageCount, 12);
+    assert.strictEqual(entry.sources, undefined);
+    assert.deepStrictEqual(entry.modelInfo, { name: 'Model', pricing: { prompt: 1, completion: 2 } });
+    assert.deepStrictEqual(entry.chat, [{ role: 'user', content: 'Q', createdAt: null }]);
+    assert.strictEqual(entry.hostname, 'example.com');
+});
+
+test('replaces ids with characters outside the id pattern', () => {
+    const entry = normalizeImportedEntry(rawEntry({ id: '1" onmouseover="alert(1)' }), 4);
+    assert.match(entry.id, /^imported-\d+-4$/);
+});
+
+test('rejects entries without a summary or with a non-http(s) URL', () => {
+    assert.strictEqual(normalizeImportedEntry(rawEntry({ summary: '  ' }), 0), null);
+    assert.strictEqual(normalizeImportedEntry(rawEntry({ url: 'javascript:alert(1)' }), 0), null);
+    assert.strictEqual(normalizeImportedEntry(rawEntry({ url: 'not a url' }), 0), null);
+});
+
+test('accepts digests without a URL and keeps their source ids', () => {
+    const entry = normalizeImportedEntry(rawEntry({ url: null, sourceType: 'digest', sources: ['1', 2, 'bad id'] }), 0);
+    assert.strictEqual(entry.url, null);
+    assert.strictEqual(entry.favicon, null);
+    assert.deepStrictEqual(entry.sources, ['1', '2']);
+});
+
+test('skips entries already in history and counts invalid ones', () => {
+    const existing = [normalizeImportedEntry(rawEntry(), 0)];
+    const { report, changed } = mergeImportedEntries(existing, [rawEntry(), rawEntry({ id: '2', url: '' })], 'keep');
+    assert.deepStrictEqual(report, { added: 0, skipped: 1, conflicts: 0, invalid: 1 });
+    assert.deepStrictEqual(changed, []);
+});
+
+test('matches entries by URL and date when the ids differ', () => {
+    const existing = [normalizeImportedEntry(rawEntry(), 0)];
+    const { report } = mergeImportedEntries(existing, [rawEntry({ id: 'other' })], 'keep');
+    assert.strictEqual(report.skipped, 1);
+});
+
+test('resolves conflicts as chosen', () => {
+    const existing = [normalizeImportedEntry(rawEntry(), 0)];
+    const changedEntry = rawEntry({ summary: 'Edited' });
+
+    assert.deepStrictEqual(mergeImportedEntries(existing, [changedEntry], 'keep').changed, []);
+
+    const replaced = mergeImportedEntries(existing, [changedEntry], 'replace').changed;
+    assert.deepStrictEqual(replaced.map(entry => [entry.id, entry.summary]), [['1700000000000', 'Edited']]);
+
+    const both = mergeImportedEntries(existing, [changedEntry], 'both').changed;
+    assert.deepStrictEqual(both.map(entry => entry.id), ['1700000000000-imported']);
+});
+
+test('gives each kept copy its own id and skips copies imported before', () => {
+    const original = normalizeImportedEntry(rawEntry(), 0);
+    const copy = { ...normalizeImportedEntry(rawEntry({ summary: 'Edited' }), 0), id: '1700000000000-imported' };
+
+    const again = mergeImportedEntries([original, copy], [rawEntry({ summary: 'Edited' })], 'both');
+    assert.strictEqual(again.report.skipped, 1);
+
+    const other = mergeImportedEntries([original, copy], [rawEntry({ summary: 'Edited again' })], 'both');
+    assert.deepStrictEqual(other.changed.map(entry => entry.id), ['1700000000000-imported-2']);
+});
@@ -0,0 +1,37 @@
+// Loads single declarations out of the extension's classic scripts so their
+// pure logic can be tested under Node without a browser. A declaration is
+// found by name and runs in a scope holding only the other declarations
+// loaded with it and the globals the test passes in (CONFIG, log, ...).
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// Source of `function name`, `const name = ...` or `class name`, at any
+// indentation (popup.js keeps its functions inside a closure). A multi-line
+// declaration ends at the first closing line with the same indentation
+// (`}`, `};`, `];`, or `})();` for an immediately invoked function).
+function findDeclaration(source, name, file) {
+    const start = new RegExp(`^([ \\t]*)(?:async function |function |const |let |class )${name}\\b`, 'm').exec(source);
+    if (!start) throw new Error(`${name} not found in ${file}`);
+
+    const rest = source.slice(start.index);
+    const firstLine = rest.split('\n', 1)[0];
+    if (/;\s*$/.test(firstLine)) return firstLine;
+
+    const end = new RegExp(`\\n${start[1]}[}\\]][()\\]]*;?[ \\t]*(?:\\n|$)`).exec(rest);
+    if (!end) throw new Error(`End of ${name} not found in ${file}`);
+    return rest.slice(0, end.index + end[0].length);
+}
+
+// { name: value } for each name declared in file (relative to the repo root)
+function load(file, names, scope = {}) {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const body = names.map(name => findDeclaration(source, name, file)).join('\n');
+    const params = Object.keys(scope);
+    const factory = new Function(...params, `'use strict';\n${body}\nreturn { ${names.join(', ')} };`);
+    return factory(...params.map(key => scope[key]));
+}
+
+module.exports = { load };
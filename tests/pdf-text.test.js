@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { joinTextItems } = load('common/pdf-text.js', ['PARAGRAPH_GAP', 'joinTextItems']);
+
+// A pdf.js text item at height y (PDF coordinates grow upwards)
+function item(str, y, hasEOL = false, height = 10) {
+    return { str, transform: [1, 0, 0, 1, 0, y], height, hasEOL };
+}
+
+test('joins items into lines at end-of-line marks', () => {
+    const text = joinTextItems([
+        item('Hello ', 700), item('world', 700, true),
+        item('Second   line', 688, true)
+    ]);
+    assert.strictEqual(text, 'Hello world\nSecond line');
+});
+
+test('leaves a blank line at a large vertical gap', () => {
+    const text = joinTextItems([
+        item('Heading', 700, true),
+        item('Paragraph one', 660, true),
+        item('continues here', 648, true)
+    ]);
+    assert.strictEqual(text, 'Heading\n\nParagraph one\ncontinues here');
+});
+
+test('skips marked-content items, which carry no text', () => {
+    const text = joinTextItems([{ type: 'beginMarkedContent' }, item('Text', 700), { type: 'endMarkedContent' }]);
+    assert.strictEqual(text, 'Text');
+});
+
+test('returns an empty string for a page without text', () => {
+    assert.strictEqual(joinTextItems([]), '');
+});
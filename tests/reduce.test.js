@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const CONFIG = {
+    RATE_LIMIT_BACKOFF: 20,
+    MAX_RATE_LIMIT_BACKOFF: 100,
+    MAX_CHUNK_REQUEUES: 3
+};
+
+// Combining keeps only the summary ids ("s3"), so every level shrinks the text
+const combined = [];
+async function combineSummaries(text) {
+    combined.push(text);
+    return text.split(/\s+/).filter(word => /^s\d+$/.test(word)).join(' ');
+}
+
+const { groupSummaries, reduceSummaries, estimateTokens } = load('background/service-worker.js',
+    ['CJK_PATTERN', 'estimateTokens', 'groupSummaries', 'reduceSummaries', 'runChunkScheduler', 'delay'], {
+        CONFIG,
+        combineSummaries,
+        log: () => { }
+    });
+
+const summary = (i, words = 20) => [`s${i}`, ...Array(words - 1).fill('word')].join(' ');
+
+test('groups summaries in order within the token budget', () => {
+    const summaries = Array.from({ length: 10 }, (_, i) => summary(i));
+    const groups = groupSummaries(summaries, estimateTokens(summary(0)) * 3);
+
+    assert.deepStrictEqual(groups.flat(), summaries);
+    assert.ok(groups.length > 1);
+    groups.forEach(group => assert.ok(group.length >= 2, `group of ${group.length}`));
+    // Only the last group may run over, by the single summary folded into it
+    groups.slice(0, -1).forEach(group => assert.ok(group.length <= 3, `group of ${group.length}`));
+    assert.ok(groups[groups.length - 1].length <= 4);
+});
+
+test('puts at least two summaries in a group even over the budget', () => {
+    const summaries = Array.from({ length: 5 }, (_, i) => summary(i, 200));
+    const groups = groupSummaries(summaries, 10);
+
+    assert.deepStrictEqual(groups.flat(), summaries);
+    groups.forEach(group => assert.ok(group.length >= 2, `group of ${group.length}`));
+    assert.ok(groups.length < summaries.length);
+});
+
+test('folds a trailing single summary into the previous group', () => {
+    const groups = groupSummaries(['a b', 'c d', 'e f'], estimateTokens('a b c d'));
+    assert.deepStrictEqual(groups, [['a b', 'c d', 'e f']]);
+});
+
+test('reduces level by level to one summary', async () => {
+    combined.length = 0;
+    const summaries = Array.from({ length: 12 }, (_, i) => summary(i));
+    const result = await reduceSummaries(summaries, null, 'model', estimateTokens(summary(0)) * 3, null, 2, 0);
+
+    assert.ok(result.levels >= 2);
+    assert.strictEqual(result.calls, combined.length);
+    // The final combine sees every summary, through the levels below it
+    assert.deepStrictEqual(result.summary.split(' '), summaries.map(text => text.split(' ')[0]));
+});
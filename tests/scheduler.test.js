@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const CONFIG = {
+    RATE_LIMIT_BACKOFF: 20,
+    MAX_RATE_LIMIT_BACKOFF: 100,
+    MAX_CHUNK_REQUEUES: 3
+};
+
+const { runChunkScheduler, delay } = load('background/service-worker.js', ['runChunkScheduler', 'delay'], {
+    CONFIG,
+    log: () => { }
+});
+
+function rateLimitError() {
+    const error = new Error('temporarily busy');
+    error.isTemporaryRateLimit = true;
+    return error;
+}
+
+// Fails instead of hanging when the scheduler never settles
+async function settlesWithin(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Did not settle within ${ms}ms`)), ms);
+    });
+    try {
+        return await Promise.race([promise, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+test('returns results in task order', async () => {
+    const tasks = [30, 10, 20].map((ms, i) => async () => {
+        await delay(ms);
+        return i;
+    });
+    assert.deepStrictEqual(await runChunkScheduler(tasks, 3), [0, 1, 2]);
+});
+
+test('never runs more tasks at once than the concurrency', async () => {
+    let active = 0;
+    let peak = 0;
+    const tasks = Array.from({ length: 6 }, () => async () => {
+        peak = Math.max(peak, ++active);
+        await delay(10);
+        active--;
+    });
+    await runChunkScheduler(tasks, 2);
+    assert.strictEqual(peak, 2);
+});
+
+test('retries a task rate-limited after the other workers ran out of work', async () => {
+    let attempts = 0;
+    const tasks = [
+        async () => 'a',
+        async () => 'b',
+        async () => {
+            await delay(30);
+            if (attempts++ === 0) throw rateLimitError();
+            return 'c';
+        }
+    ];
+    assert.deepStrictEqual(await settlesWithin(runChunkScheduler(tasks, 3), 2000), ['a', 'b', 'c']);
+    assert.strictEqual(attempts, 2);
+});
+
+test('paces starts from the end of the previous task', async () => {
+    const starts = [];
+    const ends = [];
+    const tasks = Array.from({ length: 3 }, (_, i) => async () => {
+        starts[i] = Date.now();
+        await delay(40);
+        ends[i] = Date.now();
+    });
+    await runChunkScheduler(tasks, 1, 60);
+    for (let i = 1; i < tasks.length; i++) {
+        assert.ok(starts[i] - ends[i - 1] >= 55, `gap before task ${i + 1}: ${starts[i] - ends[i - 1]}ms`);
+    }
+});
+
+test('fails on errors other than a temporary rate limit', async () => {
+    const tasks = [async () => { throw new Error('Invalid API key'); }, async () => 'b'];
+    await assert.rejects(runChunkScheduler(tasks, 2), /Invalid API key/);
+});
+
+test('gives up on a task rate-limited more often than allowed', async () => {
+    let attempts = 0;
+    const tasks = [async () => {
+        attempts++;
+        throw rateLimitError();
+    }];
+    await assert.rejects(settlesWithin(runChunkScheduler(tasks, 1), 2000), /temporarily busy/);
+    assert.strictEqual(attempts, CONFIG.MAX_CHUNK_REQUEUES + 1);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { tokenize } = load('common/history-db.js', ['tokenize']);
+const { foldForSearch, highlightTerms } = load('popup/popup.js', ['foldForSearch', 'highlightTerms'], {
+    searchTerms: [],
+    // The popup's version escapes through the DOM
+    escapeHtml: text => (text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+});
+
+test('tokenizes into lowercase words without accents', () => {
+    assert.deepStrictEqual(tokenize('Crème Brûlée, CAFÉ & naïve'), ['creme', 'brulee', 'cafe', 'naive']);
+});
+
+test('drops one-letter words and splits on punctuation', () => {
+    assert.deepStrictEqual(tokenize('A 2-step e-mail guide (v2)'), ['step', 'mail', 'guide', 'v2']);
+});
+
+test('makes each CJK character a term', () => {
+    assert.deepStrictEqual(tokenize('東京 news'), ['東', '京', 'news']);
+});
+
+test('tokenizes nothing for empty text', () => {
+    assert.deepStrictEqual(tokenize(''), []);
+    assert.deepStrictEqual(tokenize(null), []);
+});
+
+test('folds text the way the tokenizer does, mapping back to the original', () => {
+    const text = 'Ça coûte ﬁve';
+    const { folded, starts, ends } = foldForSearch(text);
+
+    assert.strictEqual(folded, 'ca coute five');
+    assert.strictEqual(starts.length, folded.length);
+    // Both letters of the "ﬁ" ligature map to the one character they came from
+    const fi = folded.indexOf('fi');
+    assert.deepStrictEqual([starts[fi], ends[fi + 1]], [text.indexOf('ﬁ'), text.indexOf('ﬁ') + 1]);
+});
+
+test('highlights matches regardless of accents and case', () => {
+    const [term] = tokenize('cafe');
+    assert.strictEqual(highlightTerms('Le Café <noir>', [term]), 'Le <mark>Café</mark> &lt;noir&gt;');
+});
+
+test('highlights only words that start with a term', () => {
+    assert.strictEqual(highlightTerms('Cater to a placate', ['cat']), '<mark>Cat</mark>er to a placate');
+});
+
+test('highlights a single CJK term anywhere in a word', () => {
+    assert.strictEqual(highlightTerms('東京都', ['京']), '東<mark>京</mark>都');
+});
+
+test('escapes text with no terms', () => {
+    assert.strictEqual(highlightTerms('<b>', []), '&lt;b&gt;');
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { crc32, buildZip } = load('popup/popup.js', ['CRC_TABLE', 'crc32', 'buildZip']);
+
+const bytes = text => new TextEncoder().encode(text);
+
+// Files listed in the central directory, each checked against its local header
+function readZip(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+    const end = buffer.byteLength - 22;
+    assert.strictEqual(view.getUint32(end, true), 0x06054B50, 'end of central directory');
+
+    const count = view.getUint16(end + 10, true);
+    let at = view.getUint32(end + 16, true);
+    const files = [];
+
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(view.getUint32(at, true), 0x02014B50, 'central directory header');
+        const crc = view.getUint32(at + 16, true);
+        const size = view.getUint32(at + 24, true);
+        const nameLength = view.getUint16(at + 28, true);
+        const offset = view.getUint32(at + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, at + 46, nameLength));
+
+        assert.strictEqual(view.getUint32(offset, true), 0x04034B50, 'local file header');
+        assert.strictEqual(view.getUint32(offset + 14, true), crc);
+        assert.strictEqual(view.getUint16(offset + 26, true), nameLength);
+        const data = new Uint8Array(buffer, offset + 30 + nameLength, size);
+
+        files.push({ name, content: decoder.decode(data), crc, crcOfData: crc32(data) });
+        at += 46 + nameLength;
+    }
+    return files;
+}
+
+test('computes the standard CRC-32', () => {
+    assert.strictEqual(crc32(bytes('')), 0);
+    assert.strictEqual(crc32(bytes('123456789')), 0xCBF43926);
+    assert.strictEqual(crc32(bytes('The quick brown fox jumps over the lazy dog')), 0x414FA339);
+});
+
+test('writes every file with its name, content and checksum', async () => {
+    const input = [
+        { name: 'first.md', content: '# First\n\nSummary text.' },
+        { name: 'résumé – 日本.txt', content: 'Ünïcödé content ✓' },
+        { name: 'empty.txt', content: '' }
+    ];
+    const blob = buildZip(input);
+    assert.strictEqual(blob.type, 'application/zip');
+
+    const files = readZip(await blob.arrayBuffer());
+    assert.deepStrictEqual(files.map(({ name, content }) => ({ name, content })), input);
+    files.forEach(file => assert.strictEqual(file.crc, file.crcOfData));
+});
+
+test('writes an empty archive', async () => {
+    const buffer = await buildZip([]).arrayBuffer();
+    assert.strictEqual(buffer.byteLength, 22);
+    assert.deepStrictEqual(readZip(buffer), []);
+});